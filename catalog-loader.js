@@ -0,0 +1,26 @@
+// Loads the active Stripe product catalog, following pagination so that no
+// product or price is left out.
+
+// Stripe's page size limit
+const PAGE_SIZE = 100;
+
+// Upper bound on items loaded per list, as required by autoPagingToArray
+const MAX_CATALOG_ITEMS = 10000;
+
+// Fetch every active product and price with the given Stripe client
+async function loadStripeCatalog(stripe) {
+  const [products, prices] = await Promise.all([
+    stripe.products
+      .list({ active: true, limit: PAGE_SIZE })
+      .autoPagingToArray({ limit: MAX_CATALOG_ITEMS }),
+    stripe.prices
+      .list({ active: true, limit: PAGE_SIZE })
+      .autoPagingToArray({ limit: MAX_CATALOG_ITEMS })
+  ]);
+
+  return { products, prices };
+}
+
+module.exports = {
+  loadStripeCatalog
+};
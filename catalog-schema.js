@@ -0,0 +1,108 @@
+// Schema for the Stripe product metadata the catalog is built from. A product
+// with malformed metadata is reported with errors and left out of the catalog;
+// missing optional fields fall back to defaults and are reported as warnings.
+
+const PLAN_TYPES = ['subscription', 'one-time', 'usage-based', 'add-on'];
+
+// Lowercase letters, digits, hyphens and underscores
+const PLAN_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const DEFAULT_PLAN_TYPE = 'subscription';
+const DEFAULT_DISPLAY_ORDER = 999;
+
+// Parse a metadata value holding JSON, recording an error if it is not valid
+function parseJsonField(metadata, field, errors) {
+  if (metadata[field] === undefined || metadata[field] === '') {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(metadata[field]);
+  } catch (error) {
+    errors.push({ field, message: `${field} is not valid JSON: ${error.message}` });
+    return null;
+  }
+}
+
+// Parse a metadata value holding a whole number of at least zero
+function parseCountField(metadata, field, errors) {
+  if (metadata[field] === undefined || metadata[field] === '') {
+    return undefined;
+  }
+
+  if (!/^\d+$/.test(metadata[field].trim())) {
+    errors.push({ field, message: `${field} must be a whole number, got "${metadata[field]}"` });
+    return null;
+  }
+
+  return parseInt(metadata[field], 10);
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+// Validate a Stripe product's metadata. Returns the normalized plan fields
+// together with the errors and warnings found.
+function validateProductMetadata(product) {
+  const metadata = product.metadata || {};
+  const errors = [];
+  const warnings = [];
+
+  let planId = metadata.plan_id;
+  if (planId === undefined || planId === '') {
+    planId = product.name.toLowerCase().replace(/\s+/g, '-');
+    warnings.push({ field: 'plan_id', message: `plan_id is missing, using "${planId}" from the product name` });
+  } else if (!PLAN_ID_PATTERN.test(planId)) {
+    errors.push({ field: 'plan_id', message: `plan_id "${planId}" may only contain lowercase letters, digits, hyphens and underscores` });
+  }
+
+  const planType = metadata.plan_type || DEFAULT_PLAN_TYPE;
+  if (!PLAN_TYPES.includes(planType)) {
+    errors.push({ field: 'plan_type', message: `plan_type must be one of ${PLAN_TYPES.join(', ')}, got "${planType}"` });
+  }
+
+  let displayOrder = parseCountField(metadata, 'display_order', errors);
+  if (displayOrder === undefined) {
+    displayOrder = DEFAULT_DISPLAY_ORDER;
+    warnings.push({ field: 'display_order', message: `display_order is missing, using ${DEFAULT_DISPLAY_ORDER}` });
+  }
+
+  const trialDays = parseCountField(metadata, 'trial_days', errors);
+
+  const features = parseJsonField(metadata, 'features', errors);
+  if (features && !isStringArray(features)) {
+    errors.push({ field: 'features', message: 'features must be a JSON array of non-empty strings' });
+  }
+
+  // Limits map a resource name to a maximum count; null means unlimited
+  const limits = parseJsonField(metadata, 'limits', errors);
+  if (limits && (typeof limits !== 'object' || Array.isArray(limits) ||
+      !Object.values(limits).every(limit => limit === null || (Number.isInteger(limit) && limit >= 0)))) {
+    errors.push({ field: 'limits', message: 'limits must be a JSON object of whole numbers (or null for unlimited)' });
+  }
+
+  const badges = parseJsonField(metadata, 'badges', errors);
+  if (badges && !isStringArray(badges)) {
+    errors.push({ field: 'badges', message: 'badges must be a JSON array of non-empty strings' });
+  }
+
+  return {
+    plan: {
+      planId,
+      planType,
+      displayOrder,
+      trialDays: trialDays || 0,
+      features: features || [],
+      limits: limits || {},
+      badges: badges || []
+    },
+    errors,
+    warnings
+  };
+}
+
+module.exports = {
+  PLAN_TYPES,
+  validateProductMetadata
+};
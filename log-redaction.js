@@ -0,0 +1,159 @@
+// Winston format that removes personal data and payment identifiers from log
+// entries before they reach any transport.
+const winston = require('winston');
+
+const REDACTED = '[REDACTED]';
+
+// Fields whose values are always redacted, matched case-insensitively at any
+// depth. LOG_REDACT_FIELDS adds more (comma-separated).
+const DEFAULT_REDACT_FIELDS = [
+  'email',
+  'customer_email',
+  'userId',
+  'user_id',
+  'paymentMethodId',
+  'payment_method',
+  'default_payment_method',
+  'clientSecret',
+  'client_secret',
+  'setupClientSecret',
+  'authorization',
+  'token',
+  'password',
+  'card',
+  'billing_details',
+  'phone',
+  'address'
+];
+
+// Values redacted wherever they appear in strings, including log messages
+const REDACT_PATTERNS = [
+  { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, replacement: '[REDACTED_EMAIL]' },
+  { pattern: /\b(pi|seti|cs)_[A-Za-z0-9]+_secret_[A-Za-z0-9]+/g, replacement: '[REDACTED_SECRET]' },
+  { pattern: /\bpm_[A-Za-z0-9]+/g, replacement: '[REDACTED_PAYMENT_METHOD]' }
+];
+
+// Stripe error properties that carry request or payment objects
+const STRIPE_ERROR_SENSITIVE_KEYS = [
+  'raw',
+  'headers',
+  'detail',
+  'charge',
+  'payment_intent',
+  'payment_method',
+  'setup_intent',
+  'source'
+];
+
+// Nested values deeper than this are not logged
+const MAX_DEPTH = 8;
+
+const redactFields = new Set(
+  DEFAULT_REDACT_FIELDS
+    .concat((process.env.LOG_REDACT_FIELDS || '').split(','))
+    .map(field => field.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+function redactString(value) {
+  return REDACT_PATTERNS.reduce(
+    (redacted, { pattern, replacement }) => redacted.replace(pattern, replacement),
+    value
+  );
+}
+
+// Reduce a Stripe, Supabase or other error to fields that are safe to log
+function sanitizeError(error) {
+  const sanitized = {
+    name: error.name,
+    message: redactString(String(error.message))
+  };
+
+  // Stripe errors
+  ['type', 'code', 'decline_code', 'param', 'statusCode', 'requestId'].forEach(key => {
+    if (error[key] !== undefined) {
+      sanitized[key] = error[key];
+    }
+  });
+
+  // Supabase (PostgREST) errors; details can include row values
+  if (error.hint) {
+    sanitized.hint = redactString(String(error.hint));
+  }
+
+  if (error.stack) {
+    sanitized.stack = redactString(error.stack);
+  }
+
+  return sanitized;
+}
+
+// Supabase returns errors as { message, details, hint, code } objects
+function isSupabaseError(value) {
+  return 'details' in value && 'hint' in value && 'code' in value;
+}
+
+function isPlainObject(value) {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+// Copy of a logged value with sensitive fields and patterns redacted
+function redactValue(key, value, depth) {
+  if (key && redactFields.has(key.toLowerCase()) && value !== undefined && value !== null) {
+    return REDACTED;
+  }
+
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+
+  if (value instanceof Error || (isPlainObject(value) && isSupabaseError(value))) {
+    return sanitizeError(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(null, item, depth + 1));
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const redacted = {};
+  Object.entries(value).forEach(([entryKey, entryValue]) => {
+    redacted[entryKey] = redactValue(entryKey, entryValue, depth + 1);
+  });
+  return redacted;
+}
+
+// Redact a log entry in place. Nested objects are copied, so request bodies
+// and other logged objects are left untouched.
+const redactLogInfo = winston.format(info => {
+  // Errors passed as log metadata are merged into the entry by Winston
+  if (typeof info.type === 'string' && info.type.startsWith('Stripe')) {
+    STRIPE_ERROR_SENSITIVE_KEYS.forEach(key => delete info[key]);
+  }
+  if (isSupabaseError(info)) {
+    delete info.details;
+  }
+
+  Object.keys(info).forEach(key => {
+    info[key] = redactValue(key, info[key], 0);
+  });
+
+  return info;
+});
+
+module.exports = {
+  redactLogInfo,
+  sanitizeError
+};
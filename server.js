@@ -1,9 +1,15 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const winston = require('winston');
+const jwt = require('jsonwebtoken');
+const { loadStripeCatalog } = require('./catalog-loader');
+const { validateProductMetadata } = require('./catalog-schema');
+const { redactLogInfo } = require('./log-redaction');
 require('dotenv').config();
 
 // Initialize Stripe
@@ -18,18 +24,48 @@ const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Log files rotate once they reach LOG_MAX_SIZE_BYTES, keeping LOG_MAX_FILES files
+const LOG_FILE_OPTIONS = {
+  maxsize: parseInt(process.env.LOG_MAX_SIZE_BYTES) || 10 * 1024 * 1024,
+  maxFiles: parseInt(process.env.LOG_MAX_FILES) || 5,
+  tailable: true
+};
+
+// Request ID of the request (or webhook event) being handled, available to
+// everything it calls without threading it through arguments
+const requestContext = new AsyncLocalStorage();
+
+function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+// Tag log entries written while handling a request with its request ID, or
+// with the webhook event ID for events no request led to
+const addRequestId = winston.format(info => {
+  const context = requestContext.getStore();
+  if (context?.requestId && !info.requestId) {
+    info.requestId = context.requestId;
+  }
+  if (context?.eventId && !info.eventId) {
+    info.eventId = context.eventId;
+  }
+  return info;
+});
+
 // Configure Winston Logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    addRequestId(),
+    redactLogInfo(),
     winston.format.json()
   ),
   defaultMeta: { service: 'linkby6-stripe-server' },
   transports: [
-    new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'combined.log' }),
+    new winston.transports.File({ filename: 'error.log', level: 'error', ...LOG_FILE_OPTIONS }),
+    new winston.transports.File({ filename: 'combined.log', ...LOG_FILE_OPTIONS }),
     new winston.transports.Console({
       format: winston.format.combine(
         winston.format.colorize(),
@@ -39,44 +75,195 @@ const logger = winston.createLogger({
   ]
 });
 
+// Currency used when a request does not ask for one
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'usd').toLowerCase();
+
+// Currency preferred for a country (ISO 3166 alpha-2), used with Accept-Language
+const COUNTRY_CURRENCIES = {
+  US: 'usd', CA: 'cad', GB: 'gbp', AU: 'aud', NZ: 'nzd', JP: 'jpy', IN: 'inr',
+  CH: 'chf', SE: 'sek', NO: 'nok', DK: 'dkk', PL: 'pln', MX: 'mxn', BR: 'brl', SG: 'sgd',
+  AT: 'eur', BE: 'eur', DE: 'eur', EE: 'eur', ES: 'eur', FI: 'eur', FR: 'eur', GR: 'eur',
+  HR: 'eur', IE: 'eur', IT: 'eur', LT: 'eur', LU: 'eur', LV: 'eur', MT: 'eur', NL: 'eur',
+  PT: 'eur', SI: 'eur', SK: 'eur', CY: 'eur'
+};
+
+// Billing cycle names for common interval / interval_count pairs
+const BILLING_CYCLE_NAMES = {
+  day: { 1: 'daily' },
+  week: { 1: 'weekly', 2: 'biweekly' },
+  month: { 1: 'monthly', 3: 'quarterly', 6: 'semiannual' },
+  year: { 1: 'yearly' }
+};
+
+// How long a fetched catalog is served before it is refreshed in the background
+const CATALOG_CACHE_TTL_MS = parseInt(process.env.CATALOG_CACHE_TTL_MS) || 5 * 60 * 1000; // 5 minutes
+const CATALOG_REFRESH_RETRY_MS = 30 * 1000; // wait after a failed background refresh
+
 // Dynamic Product Catalog Cache
 let productCatalogCache = {
   products: [],
   prices: {},
+  currencies: [],
+  billingCycles: [],
   lastUpdated: null,
-  cacheExpiry: 5 * 60 * 1000 // 5 minutes
+  cacheExpiry: CATALOG_CACHE_TTL_MS
+};
+
+// In-flight catalog refresh shared by concurrent callers, and the outcome of
+// the last refresh attempt
+let catalogRefreshPromise = null;
+let catalogRefreshForced = false;
+const catalogRefreshStatus = {
+  lastError: null,
+  lastFailedAt: null
 };
 
+// Identifies this instance in catalog invalidation messages
+const INSTANCE_ID = crypto.randomUUID();
+
+// Catalog cache backends. Each backend can load and save a shared catalog
+// snapshot and tell other instances that a newer snapshot is available, or
+// that cached entitlements have changed.
+
+// Keeps the catalog in this process only (default, for local development)
+class MemoryCatalogCacheBackend {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  async load() {
+    return null;
+  }
+
+  async save() {}
+
+  subscribe() {}
+
+  async publishInvalidation() {}
+
+  async publishEntitlementInvalidation() {}
+}
+
+// Shares the catalog through the Supabase catalog_cache table and announces
+// refreshes on a Realtime broadcast channel
+class SupabaseCatalogCacheBackend {
+  constructor(client) {
+    this.name = 'supabase';
+    this.client = client;
+    this.channel = client.channel('catalog-cache');
+  }
+
+  async load() {
+    const { data, error } = await this.client
+      .from('catalog_cache')
+      .select('catalog')
+      .eq('cache_key', 'product_catalog')
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to load shared catalog: ${error.message}`);
+    }
+
+    return data ? data.catalog : null;
+  }
+
+  async save(catalog) {
+    const { error } = await this.client
+      .from('catalog_cache')
+      .upsert({
+        cache_key: 'product_catalog',
+        catalog: catalog,
+        updated_at: new Date(catalog.lastUpdated).toISOString()
+      }, { onConflict: 'cache_key' });
+
+    if (error) {
+      throw new Error(`Failed to save shared catalog: ${error.message}`);
+    }
+  }
+
+  subscribe(onInvalidate, onEntitlementInvalidate) {
+    this.channel
+      .on('broadcast', { event: 'invalidate' }, ({ payload }) => {
+        if (payload.instanceId !== INSTANCE_ID) {
+          onInvalidate(payload);
+        }
+      })
+      .on('broadcast', { event: 'invalidate-entitlements' }, ({ payload }) => {
+        if (payload.instanceId !== INSTANCE_ID) {
+          onEntitlementInvalidate(payload);
+        }
+      })
+      .subscribe();
+  }
+
+  async publishInvalidation(payload) {
+    await this.channel.send({
+      type: 'broadcast',
+      event: 'invalidate',
+      payload: { ...payload, instanceId: INSTANCE_ID }
+    });
+  }
+
+  async publishEntitlementInvalidation(payload) {
+    await this.channel.send({
+      type: 'broadcast',
+      event: 'invalidate-entitlements',
+      payload: { ...payload, instanceId: INSTANCE_ID }
+    });
+  }
+}
+
+function createCatalogCacheBackend() {
+  const backendName = process.env.CATALOG_CACHE_BACKEND || 'memory';
+
+  if (backendName === 'supabase') {
+    if (supabase) {
+      return new SupabaseCatalogCacheBackend(supabase);
+    }
+    logger.warn('CATALOG_CACHE_BACKEND=supabase requires Supabase credentials, using in-memory catalog cache');
+  } else if (backendName !== 'memory') {
+    logger.warn(`Unknown CATALOG_CACHE_BACKEND "${backendName}", using in-memory catalog cache`);
+  }
+
+  return new MemoryCatalogCacheBackend();
+}
+
+const catalogCacheBackend = createCatalogCacheBackend();
+
 // Dynamic Product Catalog Service
 class ProductCatalogService {
   static async fetchProducts() {
     try {
       logger.info('Fetching products from Stripe...');
       
-      // Fetch all active products
-      const products = await stripe.products.list({
-        active: true,
-        expand: ['data.default_price']
-      });
-
-      // Fetch all active prices
-      const prices = await stripe.prices.list({
-        active: true,
-        expand: ['data.product']
-      });
+      // Fetch all active products and prices
+      const { products, prices } = await loadStripeCatalog(stripe);
 
       // Organize products and prices
-      const organizedCatalog = this.organizeProductCatalog(products.data, prices.data);
+      const organizedCatalog = this.organizeProductCatalog(products, prices);
       
       // Update cache
       productCatalogCache = {
         products: organizedCatalog.products,
         prices: organizedCatalog.prices,
+        currencies: organizedCatalog.currencies,
+        billingCycles: organizedCatalog.billingCycles,
         lastUpdated: Date.now(),
-        cacheExpiry: 5 * 60 * 1000
+        cacheExpiry: CATALOG_CACHE_TTL_MS
       };
 
       logger.info(`Successfully cached ${organizedCatalog.products.length} products with ${Object.keys(organizedCatalog.prices).length} price variations`);
+      if (organizedCatalog.skippedProducts.length > 0) {
+        logger.warn(`Skipped ${organizedCatalog.skippedProducts.length} products with invalid metadata, see GET /catalog/lint`);
+      }
+
+      // Share the new catalog with other instances; they keep their copy if this fails
+      try {
+        await catalogCacheBackend.save(productCatalogCache);
+        await catalogCacheBackend.publishInvalidation({ lastUpdated: productCatalogCache.lastUpdated });
+      } catch (shareError) {
+        logger.warn(`Failed to share refreshed catalog: ${shareError.message}`);
+      }
       
       return productCatalogCache;
     } catch (error) {
@@ -85,19 +272,38 @@ class ProductCatalogService {
     }
   }
 
+  // Products with invalid metadata or a plan_id already taken by another
+  // product are skipped; every problem found is returned in `issues`
   static organizeProductCatalog(products, prices) {
     const organizedProducts = [];
     const organizedPrices = {};
+    const currencies = new Set();
+    const billingCycles = new Set();
+    const issues = [];
+    const skippedProducts = [];
 
     logger.info('Organizing product catalog...');
     logger.info(`Processing ${products.length} products and ${prices.length} prices`);
 
     // Process each product
     products.forEach(product => {
-      // Get product metadata for organization
-      const planId = product.metadata.plan_id || product.name.toLowerCase().replace(/\s+/g, '-');
-      const planType = product.metadata.plan_type || 'subscription';
-      const displayOrder = parseInt(product.metadata.display_order) || 999;
+      // Validate and normalize the product metadata
+      const { plan, errors, warnings } = validateProductMetadata(product);
+      const { planId, planType, displayOrder, trialDays } = plan;
+
+      warnings.forEach(warning => issues.push({ severity: 'warning', productId: product.id, ...warning }));
+      errors.forEach(error => issues.push({ severity: 'error', productId: product.id, ...error }));
+
+      if (errors.length === 0 && organizedPrices[planId]) {
+        errors.push({ field: 'plan_id', message: `plan_id "${planId}" is already used by another product` });
+        issues.push({ severity: 'error', productId: product.id, ...errors[errors.length - 1] });
+      }
+
+      if (errors.length > 0) {
+        logger.warn(`Skipping product ${product.name} (${product.id}): ${errors.map(error => error.message).join('; ')}`);
+        skippedProducts.push({ productId: product.id, name: product.name, planId: planId });
+        return;
+      }
 
       logger.info(`Processing product: ${product.name} (${product.id}) -> planId: ${planId}`);
 
@@ -109,31 +315,70 @@ class ProductCatalogService {
       });
       logger.info(`Found ${productPrices.length} prices for product ${product.name}`);
       
-      const priceVariations = {};
+      // Prices are grouped per billing cycle, then per currency
+      const pricesByCycle = {};
       productPrices.forEach(price => {
-        logger.info(`Processing price: ${price.id}, recurring: ${!!price.recurring}`);
+        logger.info(`Processing price: ${price.id}, recurring: ${!!price.recurring}, currency: ${price.currency}`);
         
+        const intervalKey = this.getBillingCycleKey(price);
+        const priceEntry = {
+          priceId: price.id,
+          unitAmount: price.unit_amount,
+          currency: price.currency
+        };
+
         if (price.recurring) {
-          const interval = price.recurring.interval; // 'month' or 'year'
-          const intervalKey = interval === 'month' ? 'monthly' : 'yearly';
+          logger.info(`Mapping interval '${price.recurring.interval}' x${price.recurring.interval_count} to key '${intervalKey}'`);
           
-          logger.info(`Mapping interval '${interval}' to key '${intervalKey}'`);
-          
-          priceVariations[intervalKey] = {
-            priceId: price.id,
-            unitAmount: price.unit_amount,
-            currency: price.currency,
-            interval: price.recurring.interval,
-            intervalCount: price.recurring.interval_count
-          };
-        } else {
-          // One-time payment
-          priceVariations['one_time'] = {
+          priceEntry.interval = price.recurring.interval;
+          priceEntry.intervalCount = price.recurring.interval_count;
+          priceEntry.usageType = price.recurring.usage_type;
+          billingCycles.add(intervalKey);
+
+          // Metered prices bill reported usage at the end of each period
+          if (price.recurring.usage_type === 'metered') {
+            priceEntry.aggregateUsage = price.recurring.aggregate_usage;
+          }
+
+          if ((planType === 'usage-based') !== (price.recurring.usage_type === 'metered')) {
+            issues.push({
+              severity: 'warning',
+              productId: product.id,
+              priceId: price.id,
+              message: planType === 'usage-based'
+                ? 'Price of a usage-based add-on is not metered'
+                : `Metered price belongs to a ${planType} product; set plan_type to usage-based to sell it as an add-on`
+            });
+          }
+        }
+
+        pricesByCycle[intervalKey] = pricesByCycle[intervalKey] || {};
+        if (pricesByCycle[intervalKey][price.currency]) {
+          issues.push({
+            severity: 'warning',
+            productId: product.id,
             priceId: price.id,
-            unitAmount: price.unit_amount,
-            currency: price.currency
-          };
+            message: `Another ${price.currency} price already uses billing cycle "${intervalKey}", ignoring this price`
+          });
+          return;
         }
+        pricesByCycle[intervalKey][price.currency] = priceEntry;
+        currencies.add(price.currency);
+      });
+
+      if (productPrices.length === 0) {
+        issues.push({ severity: 'warning', productId: product.id, message: 'Product has no active prices' });
+      }
+
+      // Each billing cycle exposes its default currency price at the top level
+      // and every currency under `currencies`
+      const priceVariations = {};
+      Object.entries(pricesByCycle).forEach(([intervalKey, cyclePrices]) => {
+        const defaultPrice = cyclePrices[DEFAULT_CURRENCY] || Object.values(cyclePrices)[0];
+        priceVariations[intervalKey] = {
+          ...defaultPrice,
+          currencies: cyclePrices
+        };
       });
 
       logger.info(`Price variations for ${planId}:`, priceVariations);
@@ -146,7 +391,10 @@ class ProductCatalogService {
         planId: planId,
         planType: planType,
         displayOrder: displayOrder,
-        features: product.metadata.features ? JSON.parse(product.metadata.features) : [],
+        trialDays: trialDays,
+        features: plan.features,
+        limits: plan.limits,
+        badges: plan.badges,
         metadata: product.metadata,
         prices: priceVariations,
         active: product.active
@@ -164,33 +412,161 @@ class ProductCatalogService {
 
     logger.info('Final organized prices structure:', organizedPrices);
 
+    // Prices whose product is missing or was not loaded
+    const productIds = new Set(products.map(product => product.id));
+    prices.forEach(price => {
+      const priceProductId = typeof price.product === 'string' ? price.product : price.product?.id;
+      if (!productIds.has(priceProductId)) {
+        issues.push({ severity: 'warning', productId: priceProductId, priceId: price.id, message: 'Price belongs to a product that is not active' });
+      }
+    });
+
     return {
       products: organizedProducts,
-      prices: organizedPrices
+      prices: organizedPrices,
+      currencies: [...currencies],
+      billingCycles: [...billingCycles],
+      issues: issues,
+      skippedProducts: skippedProducts
+    };
+  }
+
+  // Billing cycle key for a price: its `billing_cycle` metadata, a name for
+  // the interval and interval_count (e.g. 3 months -> quarterly), or
+  // `every-<count>-<interval>s` for anything else
+  static getBillingCycleKey(price) {
+    if (price.metadata?.billing_cycle) {
+      return price.metadata.billing_cycle.trim().toLowerCase();
+    }
+
+    if (!price.recurring) {
+      return 'one_time';
+    }
+
+    const { interval, interval_count: intervalCount } = price.recurring;
+    return BILLING_CYCLE_NAMES[interval]?.[intervalCount] || `every-${intervalCount}-${interval}s`;
+  }
+
+  // Adopt the shared catalog snapshot if it is newer than the local one
+  static async loadSharedCatalog() {
+    const sharedCatalog = await catalogCacheBackend.load();
+
+    if (!sharedCatalog || sharedCatalog.lastUpdated <= (productCatalogCache.lastUpdated || 0)) {
+      return false;
+    }
+
+    productCatalogCache = {
+      ...sharedCatalog,
+      cacheExpiry: CATALOG_CACHE_TTL_MS
     };
+    logger.info(`Loaded shared catalog from ${catalogCacheBackend.name} cache (updated ${new Date(sharedCatalog.lastUpdated).toISOString()})`);
+    return true;
+  }
+
+  // Use a fresh shared snapshot when another instance already refreshed the
+  // catalog; otherwise fetch it from Stripe. Forced refreshes always use Stripe.
+  static async loadCatalog(forceRefresh) {
+    if (!forceRefresh) {
+      try {
+        await this.loadSharedCatalog();
+      } catch (error) {
+        logger.warn(`Failed to load shared catalog: ${error.message}`);
+      }
+
+      if (productCatalogCache.products.length > 0 && !this.isCacheStale()) {
+        return productCatalogCache;
+      }
+    }
+
+    return await this.fetchProducts();
   }
 
+  // Fetch the catalog once for all concurrent callers. A failed refresh
+  // leaves the last known good catalog in place.
+  static refreshCatalog(forceRefresh = false) {
+    // A forced refresh must reach Stripe, so it does not join a regular one
+    if (catalogRefreshPromise && forceRefresh && !catalogRefreshForced) {
+      return catalogRefreshPromise
+        .catch(() => {})
+        .then(() => this.refreshCatalog(true));
+    }
+
+    if (!catalogRefreshPromise) {
+      catalogRefreshForced = forceRefresh;
+      catalogRefreshPromise = this.loadCatalog(forceRefresh)
+        .then(catalog => {
+          catalogRefreshStatus.lastError = null;
+          return catalog;
+        })
+        .catch(error => {
+          catalogRefreshStatus.lastError = error.message;
+          catalogRefreshStatus.lastFailedAt = Date.now();
+          throw error;
+        })
+        .finally(() => {
+          catalogRefreshPromise = null;
+        });
+    }
+
+    return catalogRefreshPromise;
+  }
+
+  static isCacheStale() {
+    return !productCatalogCache.lastUpdated ||
+           (Date.now() - productCatalogCache.lastUpdated) > productCatalogCache.cacheExpiry;
+  }
+
+  // Serve the cached catalog, refreshing it in the background once it is
+  // stale. Only an empty cache or a forced refresh waits for Stripe.
   static async getProductCatalog(forceRefresh = false) {
-    const now = Date.now();
-    const cacheExpired = !productCatalogCache.lastUpdated || 
-                        (now - productCatalogCache.lastUpdated) > productCatalogCache.cacheExpiry;
+    if (forceRefresh || productCatalogCache.products.length === 0) {
+      return await this.refreshCatalog(forceRefresh);
+    }
+
+    const retryAllowed = !catalogRefreshStatus.lastFailedAt ||
+                         (Date.now() - catalogRefreshStatus.lastFailedAt) > CATALOG_REFRESH_RETRY_MS;
 
-    if (forceRefresh || cacheExpired || productCatalogCache.products.length === 0) {
-      return await this.fetchProducts();
+    if (this.isCacheStale() && !catalogRefreshPromise && retryAllowed) {
+      this.refreshCatalog().catch(error => {
+        logger.warn(`Background catalog refresh failed, serving cached catalog: ${error.message}`);
+      });
     }
 
     return productCatalogCache;
   }
 
-  static async validatePriceId(planId, billingCycle) {
+  static async validatePriceId(planId, billingCycle, currency = null) {
+    const planPrice = await this.getPlanPrice(planId, billingCycle, currency);
+    return planPrice ? planPrice.priceId : null;
+  }
+
+  // Price for a plan and billing cycle, in the given currency or the default one
+  static async getPlanPrice(planId, billingCycle, currency = null) {
     const catalog = await this.getProductCatalog();
     const planPrices = catalog.prices[planId];
-    
+
     if (!planPrices || !planPrices[billingCycle]) {
       return null;
     }
 
-    return planPrices[billingCycle].priceId;
+    if (!currency) {
+      return planPrices[billingCycle];
+    }
+
+    return planPrices[billingCycle].currencies[currency.toLowerCase()] || null;
+  }
+
+  // Price variations of a product limited to a single currency
+  static localizePrices(priceVariations, currency) {
+    const localizedPrices = {};
+
+    Object.entries(priceVariations).forEach(([intervalKey, variation]) => {
+      if (variation.currencies[currency]) {
+        localizedPrices[intervalKey] = variation.currencies[currency];
+      }
+    });
+
+    return localizedPrices;
   }
 
   static async getProductByPlanId(planId) {
@@ -199,7 +575,296 @@ class ProductCatalogService {
   }
 }
 
+// Load the product catalog ahead of validators that check input against it,
+// so a catalog that cannot be loaded is reported as a server error instead of
+// an invalid field
+async function requireProductCatalog(req, res, next) {
+  try {
+    await ProductCatalogService.getProductCatalog();
+  } catch (error) {
+    logger.error(`Product catalog unavailable for ${req.method} ${req.path}:`, error);
+    return res.status(503).json({
+      error: 'Product catalog is temporarily unavailable, please try again',
+      code: 'catalog_unavailable'
+    });
+  }
+
+  next();
+}
+
+// express-validator check that a billing cycle is offered by some plan.
+// Routes using it load the catalog first with requireProductCatalog.
+async function isCatalogBillingCycle(billingCycle) {
+  const catalog = await ProductCatalogService.getProductCatalog();
+
+  if (!catalog.billingCycles.includes(billingCycle)) {
+    throw new Error(`Billing cycle must be one of: ${catalog.billingCycles.join(', ')}`);
+  }
+
+  return true;
+}
+
+// Proration applied when a subscription changes plan or billing cycle
+const PRORATION_BEHAVIORS = ['create_prorations', 'always_invoice', 'none'];
+const DEFAULT_PRORATION_BEHAVIOR = PRORATION_BEHAVIORS.includes(process.env.STRIPE_PRORATION_BEHAVIOR)
+  ? process.env.STRIPE_PRORATION_BEHAVIOR
+  : 'create_prorations';
+
+// Webhook queue settings
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000; // doubles per attempt
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5 * 1000;
+const WEBHOOK_LEASE_MS = 5 * 60 * 1000; // claimed events are retried if not finished within 5 minutes
+
+// In-memory queue used when Supabase is not configured (local development)
+const memoryWebhookEvents = new Map();
+const memoryDeadLetters = new Map();
+
+// Webhook Queue - verified events are stored in stripe_events and processed
+// by a background worker. Events that keep failing move to
+// stripe_event_dead_letters until an admin replays them.
+class WebhookQueue {
+  static async enqueue(event) {
+    const now = new Date().toISOString();
+    const record = {
+      event_id: event.id,
+      type: event.type,
+      object_id: event.data.object.id || null,
+      event_created_at: new Date(event.created * 1000).toISOString(),
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      last_error: null,
+      processed_at: null
+    };
+
+    if (!supabase) {
+      if (!memoryWebhookEvents.has(event.id)) {
+        memoryWebhookEvents.set(event.id, record);
+      }
+      return;
+    }
+
+    // Redelivered events keep their existing row, so processed events are not run twice
+    const { error } = await supabase
+      .from('stripe_events')
+      .upsert(record, { onConflict: 'event_id', ignoreDuplicates: true });
+
+    if (error) {
+      throw new Error(`Failed to enqueue webhook event: ${error.message}`);
+    }
+  }
+
+  static async claimDueEvents(limit = 10) {
+    const now = new Date();
+    const leaseUntil = new Date(now.getTime() + WEBHOOK_LEASE_MS).toISOString();
+
+    if (!supabase) {
+      const dueRecords = [...memoryWebhookEvents.values()]
+        .filter(record => ['pending', 'processing'].includes(record.status) &&
+                          new Date(record.next_attempt_at) <= now)
+        .sort((a, b) => new Date(a.event_created_at) - new Date(b.event_created_at))
+        .slice(0, limit);
+
+      dueRecords.forEach(record => {
+        record.status = 'processing';
+        record.next_attempt_at = leaseUntil;
+      });
+
+      return dueRecords;
+    }
+
+    const { data: dueRecords, error } = await supabase
+      .from('stripe_events')
+      .select('*')
+      .in('status', ['pending', 'processing'])
+      .lte('next_attempt_at', now.toISOString())
+      .order('event_created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load queued webhook events: ${error.message}`);
+    }
+
+    // Claim each event by moving its next_attempt_at forward; only the
+    // instance whose update matches the value it read gets the event
+    const claimed = [];
+    for (const record of dueRecords) {
+      const { data, error: claimError } = await supabase
+        .from('stripe_events')
+        .update({ status: 'processing', next_attempt_at: leaseUntil })
+        .eq('event_id', record.event_id)
+        .eq('next_attempt_at', record.next_attempt_at)
+        .select();
+
+      if (claimError) {
+        throw new Error(`Failed to claim webhook event: ${claimError.message}`);
+      }
+
+      if (data && data.length > 0) {
+        claimed.push(data[0]);
+      }
+    }
+
+    return claimed;
+  }
+
+  static async markProcessed(record) {
+    await this.updateEvent(record.event_id, {
+      status: 'processed',
+      attempts: record.attempts + 1,
+      last_error: null,
+      processed_at: new Date().toISOString()
+    });
+  }
+
+  static async markFailed(record, error) {
+    const attempts = record.attempts + 1;
+
+    if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      await this.moveToDeadLetter(record, attempts, error);
+      return;
+    }
+
+    const retryDelay = WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempts - 1);
+    await this.updateEvent(record.event_id, {
+      status: 'pending',
+      attempts: attempts,
+      last_error: error.message,
+      next_attempt_at: new Date(Date.now() + retryDelay).toISOString()
+    });
+
+    logger.warn(`Webhook event ${record.event_id} will be retried in ${retryDelay}ms`);
+  }
+
+  static async moveToDeadLetter(record, attempts, error) {
+    const deadLetter = {
+      event_id: record.event_id,
+      type: record.type,
+      payload: record.payload,
+      attempts: attempts,
+      last_error: error.message,
+      failed_at: new Date().toISOString(),
+      replayed_at: null
+    };
+
+    if (!supabase) {
+      memoryDeadLetters.set(record.event_id, deadLetter);
+    } else {
+      const { error: insertError } = await supabase
+        .from('stripe_event_dead_letters')
+        .upsert(deadLetter, { onConflict: 'event_id' });
+
+      if (insertError) {
+        throw new Error(`Failed to dead-letter webhook event: ${insertError.message}`);
+      }
+    }
+
+    await this.updateEvent(record.event_id, {
+      status: 'dead',
+      attempts: attempts,
+      last_error: error.message
+    });
+
+    logger.error(`Webhook event ${record.event_id} (${record.type}) moved to dead-letter store after ${attempts} attempts`);
+  }
+
+  static async listDeadLetters(limit = 50) {
+    if (!supabase) {
+      return [...memoryDeadLetters.values()]
+        .filter(deadLetter => !deadLetter.replayed_at)
+        .sort((a, b) => new Date(b.failed_at) - new Date(a.failed_at))
+        .slice(0, limit);
+    }
+
+    const { data, error } = await supabase
+      .from('stripe_event_dead_letters')
+      .select('*')
+      .is('replayed_at', null)
+      .order('failed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to list dead-lettered events: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  // Put a dead-lettered event back on the queue with a fresh attempt budget
+  static async replayDeadLetter(eventId) {
+    const now = new Date().toISOString();
+    let deadLetter;
+
+    if (!supabase) {
+      deadLetter = memoryDeadLetters.get(eventId);
+      if (!deadLetter || deadLetter.replayed_at) {
+        return null;
+      }
+      deadLetter.replayed_at = now;
+    } else {
+      const { data, error } = await supabase
+        .from('stripe_event_dead_letters')
+        .update({ replayed_at: now })
+        .eq('event_id', eventId)
+        .is('replayed_at', null)
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to replay dead-lettered event: ${error.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        return null;
+      }
+      deadLetter = data[0];
+    }
+
+    await this.updateEvent(eventId, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now
+    });
+
+    logger.info(`Webhook event ${eventId} (${deadLetter.type}) replayed from dead-letter store`);
+    return deadLetter;
+  }
+
+  static async updateEvent(eventId, updates) {
+    if (!supabase) {
+      Object.assign(memoryWebhookEvents.get(eventId) || {}, updates);
+      return;
+    }
+
+    const { error } = await supabase
+      .from('stripe_events')
+      .update(updates)
+      .eq('event_id', eventId);
+
+    if (error) {
+      throw new Error(`Failed to update webhook event ${eventId}: ${error.message}`);
+    }
+  }
+}
+
+// Client-supplied request IDs are used as given when they look like one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
 // Middleware
+
+// Request ID: taken from X-Request-Id or generated, returned in X-Request-Id
+// and carried into logs, Stripe and Supabase for everything the request does
+app.use((req, res, next) => {
+  const requestedId = req.get('X-Request-Id');
+  req.requestId = requestedId && REQUEST_ID_PATTERN.test(requestedId)
+    ? requestedId
+    : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.requestId });
+  res.set('X-Request-Id', req.requestId);
+  requestContext.run({ requestId: req.requestId }, next);
+});
+
 app.use(helmet());
 
 // CORS Configuration - defaults to allow all origins for flexibility
@@ -209,7 +874,8 @@ const corsOrigins = process.env.ALLOWED_ORIGINS
 
 app.use(cors({
   origin: corsOrigins,
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // Log CORS configuration on startup
@@ -249,25 +915,38 @@ app.post('/webhook', express.raw({ type: 'application/json' }), async (req, res)
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
+  // Persist the event and acknowledge it; the webhook worker processes it
   try {
-    await handleWebhookEvent(event);
-    res.json({ received: true });
+    await WebhookQueue.enqueue(event);
   } catch (error) {
-    logger.error('Webhook handler error:', error);
-    res.status(500).json({ error: 'Webhook handler failed' });
+    logger.error('Failed to enqueue webhook event:', error);
+    return res.status(500).json({ error: 'Failed to store webhook event' });
   }
+
+  res.json({ received: true });
+  setImmediate(drainWebhookQueue);
 });
 
 // JSON middleware (after webhook endpoint)
 app.use(express.json({ limit: '10mb' }));
 
-// Request logging middleware
+// Request logging middleware - bodies are redacted by the logger format
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path}`, {
+  const startedAt = Date.now();
+
+  req.log.info(`${req.method} ${req.path}`, {
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     body: req.method === 'POST' ? req.body : undefined
   });
+
+  res.on('finish', () => {
+    req.log.info(`${req.method} ${req.path} -> ${res.statusCode}`, {
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
   next();
 });
 
@@ -280,24 +959,81 @@ app.get('/health', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     productCacheStatus: {
       lastUpdated: productCatalogCache.lastUpdated,
+      ageMs: productCatalogCache.lastUpdated ? Date.now() - productCatalogCache.lastUpdated : null,
+      ttlMs: productCatalogCache.cacheExpiry,
+      stale: ProductCatalogService.isCacheStale(),
+      refreshing: !!catalogRefreshPromise,
+      lastRefreshError: catalogRefreshStatus.lastError,
+      lastRefreshFailedAt: catalogRefreshStatus.lastFailedAt,
+      backend: catalogCacheBackend.name,
       productsCount: productCatalogCache.products.length,
       pricesCount: Object.keys(productCatalogCache.prices).length
     }
   });
 });
 
-// Get product catalog endpoint
-app.get('/products', async (req, res) => {
-  try {
-    const forceRefresh = req.query.refresh === 'true';
-    const catalog = await ProductCatalogService.getProductCatalog(forceRefresh);
-    
-    res.json({
-      products: catalog.products,
-      lastUpdated: catalog.lastUpdated,
+// Pick the catalog currency for a request: an explicit `currency` query
+// parameter, then the country from `country` or Accept-Language, then the default
+function resolveRequestCurrency(req, catalog) {
+  if (req.query.currency) {
+    const currency = String(req.query.currency).toLowerCase();
+    if (!catalog.currencies.includes(currency)) {
+      throw new ApiError(400, 'unsupported_currency', `Currency ${currency} is not available`);
+    }
+    return currency;
+  }
+
+  const countries = [];
+  if (req.query.country) {
+    countries.push(String(req.query.country).toUpperCase());
+  }
+
+  (req.get('Accept-Language') || '').split(',').forEach(language => {
+    const region = language.split(';')[0].trim().split('-')[1];
+    if (region) {
+      countries.push(region.toUpperCase());
+    }
+  });
+
+  const preferredCurrency = countries
+    .map(country => COUNTRY_CURRENCIES[country])
+    .find(currency => currency && catalog.currencies.includes(currency));
+
+  return preferredCurrency || DEFAULT_CURRENCY;
+}
+
+// Product as returned to clients, with prices in a single currency
+function localizeProduct(product, currency) {
+  return {
+    ...product,
+    prices: ProductCatalogService.localizePrices(product.prices, currency),
+    availableCurrencies: [...new Set(Object.values(product.prices)
+      .flatMap(variation => Object.keys(variation.currencies)))]
+  };
+}
+
+// Get product catalog endpoint
+app.get('/products', async (req, res) => {
+  try {
+    const forceRefresh = req.query.refresh === 'true';
+    const catalog = await ProductCatalogService.getProductCatalog(forceRefresh);
+    const currency = resolveRequestCurrency(req, catalog);
+    
+    res.json({
+      products: catalog.products.map(product => localizeProduct(product, currency)),
+      currency: currency,
+      availableCurrencies: catalog.currencies,
+      lastUpdated: catalog.lastUpdated,
       cacheExpiry: catalog.cacheExpiry
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Error fetching product catalog:', error);
     res.status(500).json({
       error: 'Failed to fetch product catalog',
@@ -319,8 +1055,19 @@ app.get('/products/:planId', async (req, res) => {
       });
     }
 
-    res.json(product);
+    const currency = resolveRequestCurrency(req, await ProductCatalogService.getProductCatalog());
+    res.json({
+      ...localizeProduct(product, currency),
+      currency: currency
+    });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Error fetching product details:', error);
     res.status(500).json({
       error: 'Failed to fetch product details',
@@ -329,8 +1076,73 @@ app.get('/products/:planId', async (req, res) => {
   }
 });
 
+// Check a promotion code and return the discounted price for a plan
+app.post('/validate-promo', requireAuth, requireProductCatalog, [
+  body('promotionCode').isString().notEmpty(),
+  body('planId').isString().notEmpty(),
+  body('billingCycle').isString().notEmpty().custom(isCatalogBillingCycle),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).toLowerCase()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const { promotionCode: code, planId, billingCycle, currency } = req.body;
+
+    const planPrice = await ProductCatalogService.getPlanPrice(planId, billingCycle, currency);
+    const product = await ProductCatalogService.getProductByPlanId(planId);
+    if (!planPrice || !product) {
+      return res.status(400).json({
+        error: 'Invalid plan or billing cycle',
+        code: 'invalid_plan'
+      });
+    }
+
+    // Codes restricted to a customer only validate for that customer
+    const customerId = await findCustomerIdForUser(req.user.id);
+    const promotionCode = await resolvePromotionCode(code, product.id, customerId);
+    const pricing = applyPromotionCode(promotionCode, planPrice);
+
+    res.json({
+      valid: true,
+      promotionCode: promotionCode.code,
+      planId: planId,
+      billingCycle: billingCycle,
+      priceId: planPrice.priceId,
+      ...pricing,
+      coupon: {
+        id: promotionCode.coupon.id,
+        name: promotionCode.coupon.name,
+        percentOff: promotionCode.coupon.percent_off,
+        amountOff: promotionCode.coupon.amount_off,
+        duration: promotionCode.coupon.duration,
+        durationInMonths: promotionCode.coupon.duration_in_months
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error validating promotion code:', error);
+    res.status(500).json({
+      error: 'Failed to validate promotion code',
+      type: error.type || 'server_error'
+    });
+  }
+});
+
 // Get available price IDs (for debugging - now dynamic)
-app.get('/price-ids', async (req, res) => {
+app.get('/price-ids', requireAdmin('catalog'), async (req, res) => {
   try {
     const catalog = await ProductCatalogService.getProductCatalog();
     res.json({
@@ -348,7 +1160,7 @@ app.get('/price-ids', async (req, res) => {
 });
 
 // Refresh product catalog endpoint
-app.post('/refresh-catalog', async (req, res) => {
+app.post('/refresh-catalog', requireAdmin('catalog'), async (req, res) => {
   try {
     logger.info('Manual catalog refresh requested');
     const catalog = await ProductCatalogService.getProductCatalog(true);
@@ -368,307 +1180,2076 @@ app.post('/refresh-catalog', async (req, res) => {
   }
 });
 
-// Debug endpoint to troubleshoot product catalog issues
-app.get('/debug-catalog', async (req, res) => {
+// Copy every active Stripe product and its prices into the plans table
+app.post('/sync-plans', requireAdmin('catalog'), async (req, res) => {
   try {
-    logger.info('Debug catalog endpoint requested');
-    
-    // Fetch fresh data from Stripe
-    const products = await stripe.products.list({
-      active: true,
-      expand: ['data.default_price']
-    });
-
-    const prices = await stripe.prices.list({
-      active: true,
-      expand: ['data.product']
-    });
-
-    // Test the organization logic step by step
-    const debugInfo = {
-      rawData: {
-        productsCount: products.data.length,
-        pricesCount: prices.data.length,
-        products: products.data.map(p => ({
-          id: p.id,
-          name: p.name,
-          metadata: p.metadata
-        })),
-        prices: prices.data.map(p => ({
-          id: p.id,
-          product: p.product,
-          unitAmount: p.unit_amount,
-          currency: p.currency,
-          recurring: p.recurring
-        }))
-      },
-      organizationSteps: [],
-      finalResult: {}
-    };
-
-    // Process each product with detailed logging
-    const organizedPrices = {};
-    
-    products.data.forEach(product => {
-      const planId = product.metadata.plan_id || product.name.toLowerCase().replace(/\s+/g, '-');
-      const productPrices = prices.data.filter(price => {
-        const priceProductId = typeof price.product === 'string' ? price.product : price.product?.id;
-        return priceProductId === product.id;
+    if (!supabase) {
+      return res.status(500).json({
+        error: 'Database not configured',
+        message: 'Supabase integration is not available'
       });
-      
-      const stepInfo = {
-        productName: product.name,
-        productId: product.id,
-        generatedPlanId: planId,
-        metadata: product.metadata,
-        foundPricesCount: productPrices.length,
-        priceDetails: []
-      };
-
-      const priceVariations = {};
-      productPrices.forEach(price => {
-        const priceDetail = {
-          priceId: price.id,
-          unitAmount: price.unit_amount,
-          currency: price.currency,
-          recurring: !!price.recurring
-        };
-
-        if (price.recurring) {
-          const interval = price.recurring.interval;
-          const intervalKey = interval === 'month' ? 'monthly' : 'yearly';
-          
-          priceDetail.interval = interval;
-          priceDetail.intervalKey = intervalKey;
-          
-          priceVariations[intervalKey] = {
-            priceId: price.id,
-            unitAmount: price.unit_amount,
-            currency: price.currency,
-            interval: price.recurring.interval,
-            intervalCount: price.recurring.interval_count
-          };
-        }
+    }
 
-        stepInfo.priceDetails.push(priceDetail);
-      });
+    logger.info('Plan sync requested');
+    const result = await syncPlans();
 
-      stepInfo.finalPriceVariations = priceVariations;
-      organizedPrices[planId] = priceVariations;
-      debugInfo.organizationSteps.push(stepInfo);
+    res.json({
+      message: 'Plans synced successfully',
+      syncedCount: result.syncedCount,
+      deactivatedCount: result.deactivatedCount
+    });
+  } catch (error) {
+    logger.error('Error syncing plans:', error);
+    res.status(500).json({
+      error: 'Failed to sync plans',
+      message: error.message
     });
+  }
+});
 
-    debugInfo.finalResult = organizedPrices;
+// Lint the live Stripe catalog against the product metadata schema
+app.get('/catalog/lint', requireAdmin('catalog'), async (req, res) => {
+  try {
+    logger.info('Catalog lint requested');
 
-    // Test specific lookup that's failing
-    const testPlanId = 'essential-monthly-plan';
-    const testBillingCycle = 'monthly';
-    
-    debugInfo.testLookup = {
-      searchingFor: {
-        planId: testPlanId,
-        billingCycle: testBillingCycle
-      },
-      availablePlans: Object.keys(organizedPrices),
-      planFound: !!organizedPrices[testPlanId],
-      planData: organizedPrices[testPlanId] || null,
-      priceFound: !!(organizedPrices[testPlanId] && organizedPrices[testPlanId][testBillingCycle]),
-      priceData: (organizedPrices[testPlanId] && organizedPrices[testPlanId][testBillingCycle]) || null
-    };
+    // Fetch fresh data from Stripe so fixes made in the dashboard show up
+    const { products, prices } = await loadStripeCatalog(stripe);
+    const catalog = ProductCatalogService.organizeProductCatalog(products, prices);
 
-    res.json(debugInfo);
+    const errorCount = catalog.issues.filter(issue => issue.severity === 'error').length;
+    const skippedIds = new Set(catalog.skippedProducts.map(product => product.productId));
 
+    res.json({
+      valid: errorCount === 0,
+      summary: {
+        productsCount: products.length,
+        pricesCount: prices.length,
+        includedProductsCount: catalog.products.length,
+        skippedProductsCount: catalog.skippedProducts.length,
+        errorsCount: errorCount,
+        warningsCount: catalog.issues.length - errorCount
+      },
+      products: products.map(product => {
+        const organizedProduct = catalog.products.find(p => p.id === product.id);
+        return {
+          productId: product.id,
+          name: product.name,
+          planId: organizedProduct ? organizedProduct.planId : catalog.skippedProducts.find(p => p.productId === product.id)?.planId,
+          status: skippedIds.has(product.id) ? 'skipped' : 'included',
+          billingCycles: organizedProduct ? Object.keys(organizedProduct.prices) : [],
+          metadata: product.metadata,
+          issues: catalog.issues.filter(issue => issue.productId === product.id)
+        };
+      }),
+      issues: catalog.issues,
+      checkedAt: new Date().toISOString()
+    });
   } catch (error) {
-    logger.error('Error in debug catalog endpoint:', error);
+    logger.error('Error linting product catalog:', error);
     res.status(500).json({
-      error: 'Debug catalog failed',
-      message: error.message,
-      stack: error.stack
+      error: 'Failed to lint product catalog',
+      message: error.message
     });
   }
 });
 
-// Create or retrieve customer
-async function createOrRetrieveCustomer(email, userId = null) {
-  try {
-    // First, try to find existing customer by email
-    const existingCustomers = await stripe.customers.list({
-      email: email,
-      limit: 1
+// Verify a Supabase access token and return the user it belongs to.
+// With SUPABASE_JWT_SECRET set the token is verified locally; otherwise
+// Supabase Auth is asked to resolve it.
+async function verifySupabaseToken(token) {
+  if (process.env.SUPABASE_JWT_SECRET) {
+    const payload = jwt.verify(token, process.env.SUPABASE_JWT_SECRET, {
+      algorithms: ['HS256']
     });
 
-    if (existingCustomers.data.length > 0) {
-      const customer = existingCustomers.data[0];
-      logger.info(`Found existing customer: ${customer.id} for email: ${email}`);
-      return customer;
+    return {
+      id: payload.sub,
+      email: payload.email,
+      role: payload.role,
+      appMetadata: payload.app_metadata || {}
+    };
+  }
+
+  if (supabase) {
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) {
+      throw new Error(error ? error.message : 'User not found');
     }
 
-    // Create new customer
-    const customerData = {
-      email: email,
-      metadata: {}
+    return {
+      id: data.user.id,
+      email: data.user.email,
+      role: data.user.role,
+      appMetadata: data.user.app_metadata || {}
     };
+  }
 
-    if (userId) {
-      customerData.metadata.userId = userId;
-    }
+  return null;
+}
 
-    const customer = await stripe.customers.create(customerData);
-    logger.info(`Created new customer: ${customer.id} for email: ${email}`);
-    return customer;
+// Authentication middleware - resolves req.user from the Authorization header
+async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: 'missing_token'
+    });
+  }
 
+  let user;
+  try {
+    user = await verifySupabaseToken(token);
   } catch (error) {
-    logger.error('Error creating/retrieving customer:', error);
-    throw new Error(`Failed to create or retrieve customer: ${error.message}`);
+    logger.warn(`Rejected access token for ${req.method} ${req.path}: ${error.message}`);
+    return res.status(401).json({
+      error: 'Invalid or expired access token',
+      code: 'invalid_token'
+    });
+  }
+
+  if (!user) {
+    logger.error('Authentication is not configured (set SUPABASE_JWT_SECRET or Supabase credentials)');
+    return res.status(500).json({
+      error: 'Authentication is not configured',
+      code: 'auth_not_configured'
+    });
+  }
+
+  if (!user.id) {
+    return res.status(401).json({
+      error: 'Invalid or expired access token',
+      code: 'invalid_token'
+    });
   }
+
+  req.user = user;
+  next();
 }
 
-// Create subscription endpoint
-app.post('/create-subscription', [
-  body('email').isEmail().normalizeEmail(),
-  body('paymentMethodId').isString().notEmpty(),
-  body('priceId').isString().notEmpty(),
-  body('userId').optional().isString(),
-  body('planId').isString().notEmpty(),
-  body('planName').isString().notEmpty(),
-  body('billingCycle').isIn(['monthly', 'yearly'])
-], async (req, res) => {
-  try {
-    // Validate input
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      logger.warn('Validation errors in create-subscription:', errors.array());
-      return res.status(400).json({
-        error: 'Invalid input data',
-        details: errors.array()
+// Reject requests whose body or URL userId is not the authenticated user
+function rejectMismatchedUserId(req, res, next) {
+  const claimedUserId = req.params.userId || req.body?.userId;
+
+  if (claimedUserId && claimedUserId !== req.user.id) {
+    logger.warn(`User ${req.user.id} attempted to act on behalf of user ${claimedUserId}`);
+    return res.status(403).json({
+      error: 'userId does not match the authenticated user',
+      code: 'user_mismatch'
+    });
+  }
+
+  next();
+}
+
+// Scopes an admin credential can be limited to
+const ADMIN_SCOPES = ['catalog', 'webhooks', 'testing'];
+
+// Admin API keys. ADMIN_API_KEYS holds a JSON array of
+// { "name": "...", "key": "...", "scopes": ["catalog"] } entries (scope "*"
+// grants every scope); ADMIN_API_KEY is accepted as a key named "admin" with
+// every scope.
+function loadAdminApiKeys() {
+  const adminApiKeys = [];
+
+  if (process.env.ADMIN_API_KEYS) {
+    try {
+      JSON.parse(process.env.ADMIN_API_KEYS).forEach(entry => {
+        if (!entry.name || !entry.key || !Array.isArray(entry.scopes)) {
+          throw new Error('every key needs a name, key and scopes');
+        }
+
+        const unknownScopes = entry.scopes.filter(scope => scope !== '*' && !ADMIN_SCOPES.includes(scope));
+        if (unknownScopes.length > 0) {
+          throw new Error(`key ${entry.name} has unknown scopes: ${unknownScopes.join(', ')}`);
+        }
+
+        adminApiKeys.push({ name: entry.name, key: entry.key, scopes: entry.scopes });
       });
+    } catch (error) {
+      logger.error(`Ignoring ADMIN_API_KEYS: ${error.message}`);
+      adminApiKeys.length = 0;
     }
+  }
 
-    const {
-      email,
-      paymentMethodId,
-      priceId,
-      userId,
-      planId,
-      planName,
-      billingCycle,
-      createCustomerIfNeeded = true
-    } = req.body;
+  if (process.env.ADMIN_API_KEY) {
+    adminApiKeys.push({ name: 'admin', key: process.env.ADMIN_API_KEY, scopes: ['*'] });
+  }
 
-    logger.info(`Creating subscription for ${email} with plan ${planId} (${billingCycle})`);
+  return adminApiKeys;
+}
 
-    // Validate price ID exists in our dynamic catalog
-    const validPriceId = await ProductCatalogService.validatePriceId(planId, billingCycle);
-    if (!validPriceId || validPriceId !== priceId) {
-      logger.warn(`Invalid price ID: ${priceId} for plan ${planId} (${billingCycle})`);
-      return res.status(400).json({
-        error: 'Invalid price ID for the selected plan',
-        availablePlans: Object.keys((await ProductCatalogService.getProductCatalog()).prices)
+const adminApiKeys = loadAdminApiKeys();
+
+// Find the admin API key matching the given value. Keys are compared as
+// hashes so the comparison takes the same time whatever their length.
+function findAdminApiKey(providedKey) {
+  const providedHash = crypto.createHash('sha256').update(providedKey).digest();
+
+  return adminApiKeys.find(adminApiKey => {
+    const expectedHash = crypto.createHash('sha256').update(adminApiKey.key).digest();
+    return crypto.timingSafeEqual(providedHash, expectedHash);
+  });
+}
+
+// Log every admin call with the actor once the response is sent
+function auditAdminRequest(req, res) {
+  res.on('finish', () => {
+    logger.info(`Admin ${req.method} ${req.originalUrl} by ${req.admin.actor} -> ${res.statusCode}`, {
+      audit: true,
+      actor: req.admin.actor,
+      authMethod: req.admin.authMethod,
+      scope: req.admin.scope,
+      statusCode: res.statusCode
+    });
+  });
+}
+
+// Admin authentication middleware for operational routes. Accepts an admin
+// API key with the given scope in the X-Admin-Key header, or a Supabase access
+// token whose app_metadata role is "admin". Sets req.admin to the actor.
+function requireAdmin(scope) {
+  return (req, res, next) => {
+    const providedKey = req.get('X-Admin-Key');
+
+    if (providedKey) {
+      const adminApiKey = findAdminApiKey(providedKey);
+
+      if (!adminApiKey) {
+        logger.warn(`Rejected admin key for ${req.method} ${req.path}`);
+        return res.status(401).json({
+          error: 'Admin authentication required',
+          code: 'invalid_admin_key'
+        });
+      }
+
+      if (!adminApiKey.scopes.includes('*') && !adminApiKey.scopes.includes(scope)) {
+        logger.warn(`Admin key ${adminApiKey.name} lacks scope ${scope} for ${req.method} ${req.path}`);
+        return res.status(403).json({
+          error: `Admin key does not have the ${scope} scope`,
+          code: 'admin_scope_required'
+        });
+      }
+
+      req.admin = { actor: `api_key:${adminApiKey.name}`, authMethod: 'api_key', scope: scope };
+      auditAdminRequest(req, res);
+      return next();
+    }
+
+    if (req.get('Authorization')) {
+      return requireAuth(req, res, () => {
+        if (req.user.appMetadata.role !== 'admin') {
+          logger.warn(`User ${req.user.id} without admin role denied ${req.method} ${req.path}`);
+          return res.status(403).json({
+            error: 'Admin role required',
+            code: 'admin_role_required'
+          });
+        }
+
+        req.admin = { actor: `user:${req.user.id} (${req.user.email})`, authMethod: 'supabase_role', scope: scope };
+        auditAdminRequest(req, res);
+        next();
       });
     }
 
-    // Create or retrieve customer
-    const customer = await createOrRetrieveCustomer(email, userId);
+    if (adminApiKeys.length === 0 && !process.env.SUPABASE_JWT_SECRET && !supabase) {
+      logger.error('Admin API is not configured (set ADMIN_API_KEYS, ADMIN_API_KEY or Supabase credentials)');
+      return res.status(500).json({
+        error: 'Admin API is not configured',
+        code: 'admin_not_configured'
+      });
+    }
 
-    // Attach payment method to customer
-    await stripe.paymentMethods.attach(paymentMethodId, {
-      customer: customer.id,
+    logger.warn(`Rejected unauthenticated admin request for ${req.method} ${req.path}`);
+    res.status(401).json({
+      error: 'Admin authentication required',
+      code: 'admin_auth_required'
     });
+  };
+}
 
-    // Set as default payment method
-    await stripe.customers.update(customer.id, {
-      invoice_settings: {
-        default_payment_method: paymentMethodId,
-      },
+// Test-only routes do not exist in production
+function requireTestRoutesEnabled(req, res, next) {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({
+      error: 'Endpoint not found',
+      path: req.originalUrl,
+      method: req.method
     });
+  }
 
-    // Create subscription
-    const subscription = await stripe.subscriptions.create({
-      customer: customer.id,
-      items: [{
-        price: priceId,
-      }],
-      payment_behavior: 'default_incomplete',
-      payment_settings: {
-        save_default_payment_method: 'on_subscription',
-      },
+  next();
+}
+
+// Error carrying an HTTP status and a machine-readable code for the client
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Check whether a Stripe subscription belongs to the given user.
+// Subscriptions created by this server carry metadata.userId; older ones are
+// matched through the customer's metadata or the user's business profile.
+async function isSubscriptionOwnedBy(subscription, userId) {
+  if (subscription.metadata?.userId) {
+    return subscription.metadata.userId === userId;
+  }
+
+  const customerId = typeof subscription.customer === 'string'
+    ? subscription.customer
+    : subscription.customer?.id;
+
+  if (!customerId) {
+    return false;
+  }
+
+  const customer = typeof subscription.customer === 'string'
+    ? await stripe.customers.retrieve(customerId)
+    : subscription.customer;
+
+  if (!customer.deleted && customer.metadata?.userId) {
+    return customer.metadata.userId === userId;
+  }
+
+  if (supabase) {
+    const { data: businessProfile, error } = await supabase
+      .from('business_profiles')
+      .select('stripe_customer_id')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to get business profile: ${error.message}`);
+    }
+
+    return businessProfile?.stripe_customer_id === customerId;
+  }
+
+  return false;
+}
+
+// Retrieve a subscription and make sure the calling user owns it
+async function retrieveOwnedSubscription(subscriptionId, userId, params = {}) {
+  let subscription;
+  try {
+    subscription = await stripe.subscriptions.retrieve(subscriptionId, params);
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      throw new ApiError(404, 'subscription_not_found', 'Subscription not found');
+    }
+    throw error;
+  }
+
+  if (!(await isSubscriptionOwnedBy(subscription, userId))) {
+    logger.warn(`User ${userId} denied access to subscription ${subscriptionId}`);
+    throw new ApiError(403, 'subscription_not_owned', 'Subscription does not belong to the authenticated user');
+  }
+
+  return subscription;
+}
+
+// A customer's first transaction is one made before they ever paid
+async function isFirstTimeCustomer(customerId) {
+  if (!customerId) {
+    return true;
+  }
+
+  const charges = await stripe.charges.list({ customer: customerId, limit: 100 });
+  return !charges.data.some(charge => charge.paid);
+}
+
+// Look up an active promotion code by the code the customer typed and check
+// it can be used by the customer (null for a user without one yet) for the
+// given product
+async function resolvePromotionCode(code, productId, customerId) {
+  const promotionCodes = await stripe.promotionCodes.list({
+    code: code,
+    active: true,
+    limit: 1,
+    expand: ['data.coupon.applies_to']
+  });
+
+  const promotionCode = promotionCodes.data[0];
+  if (!promotionCode || !promotionCode.coupon.valid) {
+    throw new ApiError(400, 'invalid_promotion_code', 'Promotion code is not valid');
+  }
+
+  const appliesToProducts = promotionCode.coupon.applies_to?.products;
+  const restrictedToOtherCustomer = promotionCode.customer && promotionCode.customer !== customerId;
+
+  if ((appliesToProducts && !appliesToProducts.includes(productId)) || restrictedToOtherCustomer) {
+    throw new ApiError(400, 'promotion_code_not_applicable', 'Promotion code cannot be used for this plan');
+  }
+
+  if (promotionCode.restrictions?.first_time_transaction && !(await isFirstTimeCustomer(customerId))) {
+    throw new ApiError(400, 'promotion_code_not_applicable', 'Promotion code is only valid for a first purchase');
+  }
+
+  return promotionCode;
+}
+
+// Work out the discounted amount of a catalog price for a promotion code
+function applyPromotionCode(promotionCode, planPrice) {
+  const coupon = promotionCode.coupon;
+  const originalAmount = planPrice.unitAmount;
+  let discountAmount = 0;
+
+  if (coupon.percent_off) {
+    discountAmount = Math.round(originalAmount * coupon.percent_off / 100);
+  } else if (coupon.amount_off) {
+    if (coupon.currency !== planPrice.currency) {
+      throw new ApiError(400, 'promotion_code_not_applicable', 'Promotion code cannot be used for this currency');
+    }
+    discountAmount = Math.min(coupon.amount_off, originalAmount);
+  }
+
+  // The minimum is set in one currency, optionally with amounts for others;
+  // a code with a minimum but none for this currency cannot be used
+  const restrictions = promotionCode.restrictions || {};
+  if (restrictions.minimum_amount) {
+    const minimumAmount = restrictions.minimum_amount_currency === planPrice.currency
+      ? restrictions.minimum_amount
+      : restrictions.currency_options?.[planPrice.currency]?.minimum_amount;
+
+    if (minimumAmount === undefined) {
+      throw new ApiError(400, 'promotion_code_not_applicable', 'Promotion code cannot be used for this currency');
+    }
+    if (originalAmount < minimumAmount) {
+      throw new ApiError(400, 'promotion_code_not_applicable', 'Order does not meet the promotion code minimum amount');
+    }
+  }
+
+  return {
+    originalAmount: originalAmount,
+    discountAmount: discountAmount,
+    finalAmount: originalAmount - discountAmount,
+    currency: planPrice.currency
+  };
+}
+
+// A customer belongs to a user when its metadata.userId is theirs. Customers
+// created before user IDs were recorded belong to whoever owns their email.
+function isCustomerOfUser(customer, userId, email) {
+  if (customer.deleted) {
+    return false;
+  }
+
+  if (customer.metadata.userId) {
+    return customer.metadata.userId === userId;
+  }
+
+  return !!email && (customer.email || '').toLowerCase() === email.toLowerCase();
+}
+
+// Find the authenticated user's Stripe customer, or create one. email must be
+// the verified email from the access token, never one from the request body.
+async function createOrRetrieveCustomer(userId, email) {
+  try {
+    const candidates = [];
+
+    const linkedCustomerId = await findCustomerIdForUser(userId);
+    if (linkedCustomerId) {
+      try {
+        candidates.push(await stripe.customers.retrieve(linkedCustomerId));
+      } catch (error) {
+        if (error.code !== 'resource_missing') {
+          throw error;
+        }
+      }
+    }
+
+    if (email) {
+      const emailCustomers = await stripe.customers.list({
+        email: email,
+        limit: 10
+      });
+      candidates.push(...emailCustomers.data);
+    }
+
+    const existingCustomer = candidates.find(customer => isCustomerOfUser(customer, userId, email));
+    if (existingCustomer) {
+      logger.info(`Found existing customer: ${existingCustomer.id} for user: ${userId}`);
+
+      // Link a customer matched by email to the user
+      if (!existingCustomer.metadata.userId) {
+        return await stripe.customers.update(existingCustomer.id, {
+          metadata: { userId: userId }
+        });
+      }
+
+      return existingCustomer;
+    }
+
+    if (candidates.length > 0) {
+      logger.warn(`Customers found for user ${userId} belong to another user, creating a new customer`);
+    }
+
+    // Create new customer
+    const customerData = {
+      metadata: withRequestId({ userId: userId })
+    };
+
+    if (email) {
+      customerData.email = email;
+    }
+
+    const customer = await stripe.customers.create(customerData);
+    logger.info(`Created new customer: ${customer.id} for user: ${userId}`);
+    return customer;
+
+  } catch (error) {
+    logger.error('Error creating/retrieving customer:', error);
+    throw new Error(`Failed to create or retrieve customer: ${error.message}`);
+  }
+}
+
+// How long the response to an Idempotency-Key is replayed
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A request still in progress after this long is treated as abandoned
+const IDEMPOTENCY_LOCK_MS = 2 * 60 * 1000;
+
+// Client errors that ask the caller to try again; like server errors they are
+// not stored, so a retry with the same Idempotency-Key runs the request again
+const IDEMPOTENCY_RETRYABLE_CODES = ['request_in_progress'];
+
+// Only final outcomes (successes and client errors) are replayed
+function isFinalIdempotentResponse(statusCode, body) {
+  return statusCode < 500 && statusCode !== 429 && !IDEMPOTENCY_RETRYABLE_CODES.includes(body?.code);
+}
+
+// In-memory idempotency records used when Supabase is not configured
+const memoryIdempotencyKeys = new Map();
+
+// Responses stored for requests sent with an Idempotency-Key header
+class IdempotencyStore {
+  static async get(recordKey) {
+    if (!supabase) {
+      return memoryIdempotencyKeys.get(recordKey) || null;
+    }
+
+    const { data, error } = await supabase
+      .from('idempotency_keys')
+      .select('*')
+      .eq('record_key', recordKey)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to get idempotency key: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  // Expired records, and requests that never finished, can be claimed again
+  static isReclaimable(record, now) {
+    return new Date(record.expires_at).getTime() <= now ||
+      (record.status === 'processing' && new Date(record.locked_at).getTime() + IDEMPOTENCY_LOCK_MS <= now);
+  }
+
+  // Claim a key for a new request. Returns null when the caller now owns the
+  // key, or the record of the request that already claimed it.
+  static async claim(recordKey, requestHash) {
+    const now = Date.now();
+    const record = {
+      record_key: recordKey,
+      request_hash: requestHash,
+      status: 'processing',
+      response_status: null,
+      response_body: null,
+      locked_at: new Date(now).toISOString(),
+      expires_at: new Date(now + IDEMPOTENCY_KEY_TTL_MS).toISOString()
+    };
+
+    const existing = await this.get(recordKey);
+    if (existing && !this.isReclaimable(existing, now)) {
+      return existing;
+    }
+
+    if (!supabase) {
+      memoryIdempotencyKeys.set(recordKey, record);
+      return null;
+    }
+
+    // Only the claimant that removes this exact stale record may replace it
+    if (existing) {
+      const { error } = await supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('record_key', recordKey)
+        .eq('locked_at', existing.locked_at);
+
+      if (error) {
+        throw new Error(`Failed to reclaim idempotency key: ${error.message}`);
+      }
+    }
+
+    const { error } = await supabase
+      .from('idempotency_keys')
+      .insert(record);
+
+    if (error) {
+      // 23505 = unique violation: a concurrent request claimed the key first
+      if (error.code === '23505') {
+        return await this.get(recordKey);
+      }
+      throw new Error(`Failed to claim idempotency key: ${error.message}`);
+    }
+
+    return null;
+  }
+
+  static async complete(recordKey, responseStatus, responseBody) {
+    const updates = {
+      status: 'completed',
+      response_status: responseStatus,
+      response_body: responseBody
+    };
+
+    if (!supabase) {
+      Object.assign(memoryIdempotencyKeys.get(recordKey), updates);
+      return;
+    }
+
+    const { error } = await supabase
+      .from('idempotency_keys')
+      .update(updates)
+      .eq('record_key', recordKey);
+
+    if (error) {
+      throw new Error(`Failed to store idempotent response: ${error.message}`);
+    }
+  }
+
+  // Forget a key whose request failed on the server, so it can be retried
+  static async release(recordKey) {
+    if (!supabase) {
+      memoryIdempotencyKeys.delete(recordKey);
+      return;
+    }
+
+    const { error } = await supabase
+      .from('idempotency_keys')
+      .delete()
+      .eq('record_key', recordKey);
+
+    if (error) {
+      throw new Error(`Failed to release idempotency key: ${error.message}`);
+    }
+  }
+}
+
+// Idempotency middleware for routes that create payments. A request with an
+// Idempotency-Key header runs once per user and key: repeats with the same
+// body get the stored response, repeats with a different body get a 409.
+// Server errors are not stored, so the request can be retried.
+function idempotent(routeName) {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!idempotencyKey) {
+      return next();
+    }
+
+    if (idempotencyKey.length > 200) {
+      return res.status(400).json({
+        error: 'Idempotency-Key must be at most 200 characters',
+        code: 'invalid_idempotency_key'
+      });
+    }
+
+    const recordKey = `${req.user.id}:${routeName}:${idempotencyKey}`;
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+    try {
+      const existing = await IdempotencyStore.claim(recordKey, requestHash);
+
+      if (existing) {
+        if (existing.request_hash !== requestHash) {
+          return res.status(409).json({
+            error: 'Idempotency-Key was already used with a different request body',
+            code: 'idempotency_key_reused'
+          });
+        }
+
+        if (existing.status === 'processing') {
+          return res.status(409).json({
+            error: 'A request with this Idempotency-Key is still in progress',
+            code: 'idempotency_key_in_progress'
+          });
+        }
+
+        logger.info(`Replaying stored response for ${routeName} Idempotency-Key ${idempotencyKey}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+    } catch (error) {
+      logger.error('Error checking Idempotency-Key:', error);
+      return res.status(500).json({
+        error: 'Failed to check Idempotency-Key',
+        message: error.message
+      });
+    }
+
+    // Stripe keys are derived from the user-scoped key, so two users can
+    // send the same header value
+    req.stripeIdempotencyKey = crypto.createHash('sha256').update(recordKey).digest('hex');
+
+    const sendJson = res.json.bind(res);
+    res.json = body => {
+      const stored = isFinalIdempotentResponse(res.statusCode, body)
+        ? IdempotencyStore.complete(recordKey, res.statusCode, body)
+        : IdempotencyStore.release(recordKey);
+
+      stored
+        .catch(error => logger.error('Error storing idempotent response:', error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  };
+}
+
+// Stripe request options for a call made while handling an idempotent request
+function stripeIdempotencyOptions(req, operation) {
+  return req.stripeIdempotencyKey
+    ? { idempotencyKey: `${req.stripeIdempotencyKey}-${operation}` }
+    : {};
+}
+
+// Stripe metadata stamped with the request ID that created or last changed
+// the object; webhook handling picks it up again from there
+function withRequestId(metadata = {}) {
+  const requestId = getRequestId();
+  return requestId ? { ...metadata, requestId: requestId } : metadata;
+}
+
+// Metadata for a Stripe call sent with stripeIdempotencyOptions. Each retry
+// has its own request ID, and Stripe rejects a repeated idempotency key whose
+// parameters changed, so the request ID is left out when there is a key.
+function withRequestIdUnlessIdempotent(req, metadata) {
+  return req.stripeIdempotencyKey ? metadata : withRequestId(metadata);
+}
+
+// Add-ons are requested by plan ID, or as { addOnId, quantity } for add-ons
+// billed per unit
+function isAddOnRequest(value) {
+  if (typeof value === 'string') {
+    return value !== '';
+  }
+
+  return typeof value?.addOnId === 'string' && value.addOnId !== '' &&
+    (value.quantity === undefined || (Number.isInteger(value.quantity) && value.quantity >= 1));
+}
+
+// Subscription items for the requested add-ons. Usage-based add-ons need a
+// metered price and per-unit add-ons a licensed price in the plan's billing
+// cycle and currency.
+async function resolveAddOnItems(addOnRequests, billingCycle, currency) {
+  const addOnItems = [];
+
+  for (const addOnRequest of addOnRequests) {
+    const { addOnId, quantity } = typeof addOnRequest === 'string' ? { addOnId: addOnRequest } : addOnRequest;
+    if (addOnItems.some(addOnItem => addOnItem.addOnId === addOnId)) {
+      throw new ApiError(400, 'duplicate_add_on', `Add-on ${addOnId} was requested more than once`);
+    }
+
+    const addOn = await ProductCatalogService.getProductByPlanId(addOnId);
+    if (!addOn || !['usage-based', 'add-on'].includes(addOn.planType)) {
+      throw new ApiError(400, 'invalid_add_on', `Unknown add-on: ${addOnId}`);
+    }
+
+    const metered = addOn.planType === 'usage-based';
+    if (metered && quantity !== undefined) {
+      throw new ApiError(400, 'invalid_add_on_quantity', `Add-on ${addOnId} is billed by reported usage and takes no quantity`);
+    }
+
+    const addOnPrice = await ProductCatalogService.getPlanPrice(addOnId, billingCycle, currency);
+    if (!addOnPrice || (addOnPrice.usageType === 'metered') !== metered) {
+      throw new ApiError(400, 'add_on_unavailable', `Add-on ${addOnId} is not available for the ${billingCycle} billing cycle in ${currency}`);
+    }
+
+    const item = { price: addOnPrice.priceId, metadata: { addOnId: addOnId } };
+    if (!metered) {
+      item.quantity = quantity || 1;
+    }
+
+    addOnItems.push({ addOnId: addOnId, quantity: item.quantity || null, item: item });
+  }
+
+  return addOnItems;
+}
+
+// A user lock is given up if its holder has not released it after this long
+const USER_LOCK_LEASE_MS = 60 * 1000;
+
+// How long a request waits for a user lock held by another request
+const USER_LOCK_WAIT_MS = 10 * 1000;
+const USER_LOCK_POLL_MS = 250;
+
+// In-memory user locks used when Supabase is not configured
+const memoryUserLocks = new Map();
+
+// Per-user locks that serialize requests across server instances
+class UserLock {
+  // Wait for the named lock of a user and take it
+  static async acquire(userId, name) {
+    const lock = {
+      lock_key: `${userId}:${name}`,
+      lock_id: crypto.randomUUID()
+    };
+    const waitUntil = Date.now() + USER_LOCK_WAIT_MS;
+
+    while (!(await this.tryAcquire(lock))) {
+      if (Date.now() >= waitUntil) {
+        throw new ApiError(409, 'request_in_progress', 'Another request for this account is still in progress, please try again');
+      }
+      await new Promise(resolve => setTimeout(resolve, USER_LOCK_POLL_MS));
+    }
+
+    return lock;
+  }
+
+  static async tryAcquire(lock) {
+    const now = Date.now();
+    const record = {
+      ...lock,
+      expires_at: new Date(now + USER_LOCK_LEASE_MS).toISOString()
+    };
+
+    if (!supabase) {
+      const held = memoryUserLocks.get(lock.lock_key);
+      if (held && new Date(held.expires_at).getTime() > now) {
+        return false;
+      }
+      memoryUserLocks.set(lock.lock_key, record);
+      return true;
+    }
+
+    // Clear a lock whose holder never released it
+    const { error: expiredError } = await supabase
+      .from('user_locks')
+      .delete()
+      .eq('lock_key', lock.lock_key)
+      .lte('expires_at', new Date(now).toISOString());
+
+    if (expiredError) {
+      throw new Error(`Failed to clear expired lock: ${expiredError.message}`);
+    }
+
+    const { error } = await supabase
+      .from('user_locks')
+      .insert(record);
+
+    if (error) {
+      // 23505 = unique violation: another request holds the lock
+      if (error.code === '23505') {
+        return false;
+      }
+      throw new Error(`Failed to acquire lock: ${error.message}`);
+    }
+
+    return true;
+  }
+
+  static async release(lock) {
+    if (!supabase) {
+      if (memoryUserLocks.get(lock.lock_key)?.lock_id === lock.lock_id) {
+        memoryUserLocks.delete(lock.lock_key);
+      }
+      return;
+    }
+
+    const { error } = await supabase
+      .from('user_locks')
+      .delete()
+      .eq('lock_key', lock.lock_key)
+      .eq('lock_id', lock.lock_id);
+
+    if (error) {
+      logger.error(`Failed to release lock ${lock.lock_key}: ${error.message}`);
+    }
+  }
+}
+
+// Subscription statuses that already bill the business
+const LIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due', 'unpaid'];
+
+// Price and quantity of each subscription item (metered items have no
+// quantity), in an order-independent form that two item lists compare by
+function describeSubscriptionItems(items) {
+  return items
+    .map(item => `${getStripeId(item.price)}:${item.quantity || ''}`)
+    .sort()
+    .join(',');
+}
+
+// Reject a new subscription when the user already has a live one, in
+// business_subscriptions or in Stripe. customerId must already be confirmed as
+// the user's (see createOrRetrieveCustomer). Only incomplete subscriptions the
+// user created (metadata.userId) are touched: one with the same items (plan
+// and add-on prices and quantities), trial and promotion code is returned so
+// its payment can be completed, the others are canceled.
+async function findReusableSubscription(userId, customerId, { items, trial, promotionCode }) {
+  if (supabase) {
+    const { data: liveRecords, error } = await supabase
+      .from('business_subscriptions')
+      .select('stripe_subscription_id, status')
+      .eq('user_id', userId)
+      .in('status', LIVE_SUBSCRIPTION_STATUSES)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check existing subscriptions: ${error.message}`);
+    }
+
+    if (liveRecords.length > 0) {
+      throw new ApiError(409, 'subscription_exists', `Business already has a ${liveRecords[0].status} subscription (${liveRecords[0].stripe_subscription_id})`);
+    }
+  }
+
+  const subscriptions = await stripe.subscriptions.list({
+    customer: customerId,
+    status: 'all',
+    limit: 20,
+    expand: ['data.latest_invoice.payment_intent', 'data.pending_setup_intent']
+  });
+
+  // Subscriptions without a userId predate the metadata and belong to the
+  // customer, so they still count as live; ones tagged for another user are
+  // left alone and never named in the response
+  const userSubscriptions = subscriptions.data.filter(sub => !sub.metadata.userId || sub.metadata.userId === userId);
+
+  const liveSubscription = userSubscriptions.find(sub => LIVE_SUBSCRIPTION_STATUSES.includes(sub.status));
+  if (liveSubscription) {
+    throw new ApiError(409, 'subscription_exists', `Business already has a ${liveSubscription.status} subscription (${liveSubscription.id})`);
+  }
+
+  const requestedItems = describeSubscriptionItems(items);
+
+  let reusableSubscription = null;
+  for (const sub of userSubscriptions.filter(sub => sub.status === 'incomplete' && sub.metadata.userId === userId)) {
+    const matches = !reusableSubscription &&
+      describeSubscriptionItems(sub.items.data) === requestedItems &&
+      !!sub.trial_end === trial &&
+      (sub.metadata.promotionCode || null) === (promotionCode ? promotionCode.code : null);
+
+    if (matches) {
+      reusableSubscription = sub;
+    } else {
+      logger.info(`Canceling incomplete subscription ${sub.id} replaced by a new subscription request`);
+      await stripe.subscriptions.cancel(sub.id);
+    }
+  }
+
+  return reusableSubscription;
+}
+
+// Create subscription endpoint
+app.post('/create-subscription', requireAuth, rejectMismatchedUserId, idempotent('create-subscription'), requireProductCatalog, [
+  body('paymentMethodId').optional().isString().notEmpty(),
+  body('startTrialWithoutPaymentMethod').optional().isBoolean(),
+  body('promotionCode').optional().isString().notEmpty(),
+  body('priceId').isString().notEmpty(),
+  body('userId').optional().isString(),
+  body('planId').isString().notEmpty(),
+  body('planName').isString().notEmpty(),
+  body('billingCycle').isString().notEmpty().custom(isCatalogBillingCycle),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).toLowerCase(),
+  body('quantity').optional().isInt({ min: 1, max: 10000 }).toInt(),
+  body('addOns').optional().isArray({ max: 10 }),
+  body('addOns.*').custom(isAddOnRequest)
+], async (req, res) => {
+  let lock = null;
+
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn('Validation errors in create-subscription:', errors.array());
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const {
+      paymentMethodId,
+      priceId,
+      planId,
+      planName,
+      billingCycle,
+      currency = DEFAULT_CURRENCY,
+      startTrialWithoutPaymentMethod = false,
+      promotionCode: promotionCodeInput,
+      quantity = 1,
+      addOns: addOnRequests = [],
+      createCustomerIfNeeded = true
+    } = req.body;
+    const userId = req.user.id;
+    const email = req.user.email;
+
+    logger.info(`Creating subscription for ${email} with plan ${planId} (${billingCycle})`);
+
+    // Validate price ID exists in our dynamic catalog
+    const validPriceId = await ProductCatalogService.validatePriceId(planId, billingCycle, currency);
+    if (!validPriceId || validPriceId !== priceId) {
+      logger.warn(`Invalid price ID: ${priceId} for plan ${planId} (${billingCycle}, ${currency})`);
+      return res.status(400).json({
+        error: 'Invalid price ID for the selected plan',
+        availablePlans: Object.keys((await ProductCatalogService.getProductCatalog()).prices)
+      });
+    }
+
+    // Trial length comes from the product's trial_days metadata
+    const product = await ProductCatalogService.getProductByPlanId(planId);
+    const trialDays = product ? product.trialDays : 0;
+
+    const addOnItems = await resolveAddOnItems(addOnRequests, billingCycle, currency);
+
+    if (!paymentMethodId && !(trialDays > 0 && startTrialWithoutPaymentMethod)) {
+      return res.status(400).json({
+        error: 'A payment method is required for this plan',
+        code: 'payment_method_required'
+      });
+    }
+
+    // Concurrent requests for the same user run one at a time, so each sees
+    // the subscription the previous one created
+    lock = await UserLock.acquire(userId, 'create-subscription');
+
+    // Create or retrieve customer
+    const customer = await createOrRetrieveCustomer(userId, email);
+
+    const promotionCode = promotionCodeInput
+      ? await resolvePromotionCode(promotionCodeInput, product?.id, customer.id)
+      : null;
+
+    const subscriptionItems = [{
+      price: priceId,
+      quantity: quantity,
+    }, ...addOnItems.map(addOnItem => addOnItem.item)];
+
+    const reusableSubscription = await findReusableSubscription(userId, customer.id, {
+      items: subscriptionItems,
+      trial: trialDays > 0,
+      promotionCode
+    });
+
+    if (paymentMethodId) {
+      // Attach payment method to customer
+      await stripe.paymentMethods.attach(paymentMethodId, {
+        customer: customer.id,
+      });
+
+      // Set as default payment method
+      await stripe.customers.update(customer.id, {
+        invoice_settings: {
+          default_payment_method: paymentMethodId,
+        },
+      });
+    }
+
+    const subscriptionParams = {
+      customer: customer.id,
+      items: subscriptionItems,
+      payment_behavior: 'default_incomplete',
+      payment_settings: {
+        save_default_payment_method: 'on_subscription',
+      },
+      expand: ['latest_invoice.payment_intent', 'pending_setup_intent'],
+      metadata: withRequestIdUnlessIdempotent(req, {
+        userId: userId,
+        planId: planId,
+        planName: planName,
+        billingCycle: billingCycle,
+        source: 'mobile_app'
+      })
+    };
+
+    if (addOnItems.length > 0) {
+      subscriptionParams.metadata.addOns = addOnItems.map(item => item.addOnId).join(',');
+    }
+
+    if (promotionCode) {
+      subscriptionParams.promotion_code = promotionCode.id;
+      subscriptionParams.metadata.promotionCode = promotionCode.code;
+    }
+
+    if (trialDays > 0) {
+      subscriptionParams.trial_period_days = trialDays;
+
+      // Trials started without a card end the subscription if none is added
+      if (!paymentMethodId) {
+        subscriptionParams.trial_settings = {
+          end_behavior: {
+            missing_payment_method: 'cancel'
+          }
+        };
+      }
+    }
+
+    // Create subscription, or resume the incomplete one for the same plan
+    const subscription = reusableSubscription ||
+      await stripe.subscriptions.create(subscriptionParams, stripeIdempotencyOptions(req, 'subscription'));
+
+    if (reusableSubscription) {
+      logger.info(`Reusing incomplete subscription: ${subscription.id} for customer: ${customer.id}`);
+    } else {
+      logger.info(`Subscription created: ${subscription.id} for customer: ${customer.id}`);
+    }
+
+    // Update Supabase if configured
+    if (supabase) {
+      try {
+        await updateSupabaseProfile(userId, {
+          stripe_customer_id: customer.id,
+          subscription_id: subscription.id,
+          subscription_status: subscription.status,
+          plan_id: planId,
+          plan_name: planName,
+          billing_cycle: billingCycle
+        });
+        logger.info(`Updated Supabase profile for user: ${userId}`);
+      } catch (dbError) {
+        logger.warn('Failed to update Supabase profile:', dbError);
+        // Don't fail the request if database update fails
+      }
+    }
+
+    const response = {
+      subscriptionId: subscription.id,
+      customerId: customer.id,
+      status: subscription.status,
+      clientSecret: subscription.latest_invoice?.payment_intent?.client_secret,
+      reused: !!reusableSubscription,
+      planId: planId,
+      planName: planName,
+      billingCycle: billingCycle,
+      currency: currency,
+      trialDays: trialDays,
+      trialEnd: subscription.trial_end,
+      promotionCode: promotionCode ? promotionCode.code : null,
+      quantity: quantity,
+      addOns: addOnItems.map(addOnItem => ({
+        addOnId: addOnItem.addOnId,
+        quantity: addOnItem.quantity
+      }))
+    };
+
+    // Trials collect the card through a SetupIntent instead of a PaymentIntent
+    if (subscription.pending_setup_intent) {
+      response.setupClientSecret = subscription.pending_setup_intent.client_secret;
+    }
+
+    // Only include client secret if payment requires action
+    if (subscription.status === 'incomplete') {
+      response.requiresAction = true;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error creating subscription:', error);
+    
+    // Provide user-friendly error messages
+    let errorMessage = 'Failed to create subscription';
+    
+    if (error.type === 'StripeCardError') {
+      errorMessage = error.message;
+    } else if (error.type === 'StripeInvalidRequestError') {
+      errorMessage = 'Invalid payment information provided';
+    } else if (error.message.includes('customer')) {
+      errorMessage = 'Failed to process customer information';
+    }
+
+    res.status(500).json({
+      error: errorMessage,
+      type: error.type || 'server_error'
+    });
+  } finally {
+    if (lock) {
+      await UserLock.release(lock);
+    }
+  }
+});
+
+// Create payment intent for platform payments (Apple Pay/Google Pay)
+app.post('/create-payment-intent', requireAuth, rejectMismatchedUserId, idempotent('create-payment-intent'), requireProductCatalog, [
+  body('currency').isString().isLength({ min: 3, max: 3 }).toLowerCase(),
+  body('userId').optional().isString(),
+  body('planId').isString().notEmpty(),
+  body('billingCycle').isString().notEmpty().custom(isCatalogBillingCycle),
+  body('promotionCode').optional().isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const {
+      currency,
+      planId,
+      billingCycle,
+      promotionCode: promotionCodeInput
+    } = req.body;
+    const userId = req.user.id;
+    const email = req.user.email;
+
+    // The amount always comes from the catalog price for the plan
+    const product = await ProductCatalogService.getProductByPlanId(planId);
+    if (!product || !(await ProductCatalogService.getPlanPrice(planId, billingCycle))) {
+      throw new ApiError(400, 'invalid_plan', 'Invalid plan or billing cycle');
+    }
+
+    const planPrice = await ProductCatalogService.getPlanPrice(planId, billingCycle, currency);
+    if (!planPrice) {
+      throw new ApiError(400, 'unsupported_currency', `Plan is not available in ${currency}`);
+    }
+
+    // Create or retrieve customer
+    const customer = await createOrRetrieveCustomer(userId, email);
+
+    let amount = planPrice.unitAmount;
+    const metadata = withRequestIdUnlessIdempotent(req, {
+      userId: userId,
+      planId: planId,
+      planName: product.name,
+      billingCycle: billingCycle,
+      priceId: planPrice.priceId,
+      source: 'mobile_app_platform_pay'
+    });
+
+    if (promotionCodeInput) {
+      const promotionCode = await resolvePromotionCode(promotionCodeInput, product.id, customer.id);
+      amount = applyPromotionCode(promotionCode, planPrice).finalAmount;
+
+      metadata.promotionCode = promotionCode.code;
+      metadata.promotionCodeId = promotionCode.id;
+    }
+
+    logger.info(`Creating payment intent for ${email} - Amount: ${amount} ${currency}`);
+
+    // Create payment intent
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: amount,
+      currency: currency,
+      customer: customer.id,
+      setup_future_usage: 'off_session',
+      metadata: metadata
+    }, stripeIdempotencyOptions(req, 'payment-intent'));
+
+    logger.info(`Payment intent created: ${paymentIntent.id}`);
+
+    res.json({
+      clientSecret: paymentIntent.client_secret,
+      customerId: customer.id,
+      paymentIntentId: paymentIntent.id,
+      amount: amount,
+      currency: currency
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error creating payment intent:', error);
+    res.status(500).json({
+      error: 'Failed to create payment intent',
+      type: error.type || 'server_error'
+    });
+  }
+});
+
+// The subscription item that carries the plan price
+function getPlanSubscriptionItem(subscription) {
+  return subscription.items.data.find(item => !isAddOnItem(item)) || subscription.items.data[0];
+}
+
+// Metered items belong to usage-based add-ons
+function isMeteredItem(item) {
+  return item.price.recurring?.usage_type === 'metered';
+}
+
+// Add-on items are tagged with the add-on's plan ID when they are created
+function isAddOnItem(item) {
+  return !!item.metadata?.addOnId || isMeteredItem(item);
+}
+
+// Resolve the target price for a plan change and the item it replaces
+async function resolvePlanChange(subscription, planId, billingCycle) {
+  // A subscription cannot change currency, so the new price must match it
+  const newPriceId = await ProductCatalogService.validatePriceId(planId, billingCycle, subscription.currency);
+  if (!newPriceId) {
+    throw new ApiError(400, 'invalid_plan', `Plan or billing cycle is not available in ${subscription.currency}`);
+  }
+
+  const planItem = getPlanSubscriptionItem(subscription);
+  if (planItem.price.id === newPriceId) {
+    throw new ApiError(400, 'subscription_unchanged', 'Subscription is already on the selected plan and billing cycle');
+  }
+
+  const product = await ProductCatalogService.getProductByPlanId(planId);
+
+  // Add-on items must follow the plan onto the new billing cycle
+  const catalog = await ProductCatalogService.getProductCatalog();
+  const items = [{ id: planItem.id, price: newPriceId }];
+
+  for (const item of subscription.items.data.filter(isAddOnItem)) {
+    const addOn = catalog.products.find(p => p.id === getStripeId(item.price.product));
+    const addOnPrice = addOn ? await ProductCatalogService.getPlanPrice(addOn.planId, billingCycle, subscription.currency) : null;
+
+    if (!addOnPrice) {
+      throw new ApiError(400, 'add_on_unavailable', `Add-on ${addOn ? addOn.planId : item.price.id} is not available for the ${billingCycle} billing cycle`);
+    }
+    if (addOnPrice.priceId !== item.price.id) {
+      items.push({ id: item.id, price: addOnPrice.priceId });
+    }
+  }
+
+  return {
+    newPriceId,
+    planItem,
+    items,
+    planName: product ? product.name : planId
+  };
+}
+
+// Preview the invoice amounts for a plan or billing cycle change
+app.get('/change-subscription/preview', requireAuth, requireProductCatalog, [
+  query('subscriptionId').isString().notEmpty(),
+  query('planId').isString().notEmpty(),
+  query('billingCycle').isString().notEmpty().custom(isCatalogBillingCycle),
+  query('prorationBehavior').optional().isIn(PRORATION_BEHAVIORS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const {
+      subscriptionId,
+      planId,
+      billingCycle,
+      prorationBehavior = DEFAULT_PRORATION_BEHAVIOR
+    } = req.query;
+
+    const subscription = await retrieveOwnedSubscription(subscriptionId, req.user.id);
+    const { newPriceId, items, planName } = await resolvePlanChange(subscription, planId, billingCycle);
+
+    const invoice = await stripe.invoices.retrieveUpcoming({
+      customer: subscription.customer,
+      subscription: subscription.id,
+      subscription_items: items,
+      subscription_proration_behavior: prorationBehavior,
+      subscription_proration_date: Math.floor(Date.now() / 1000)
+    });
+
+    const prorationAmount = invoice.lines.data
+      .filter(line => line.proration)
+      .reduce((total, line) => total + line.amount, 0);
+
+    res.json({
+      subscriptionId: subscription.id,
+      planId: planId,
+      planName: planName,
+      billingCycle: billingCycle,
+      priceId: newPriceId,
+      prorationBehavior: prorationBehavior,
+      currency: invoice.currency,
+      subtotal: invoice.subtotal,
+      total: invoice.total,
+      amountDue: invoice.amount_due,
+      prorationAmount: prorationAmount,
+      nextPaymentAttempt: invoice.next_payment_attempt,
+      lines: invoice.lines.data.map(line => ({
+        description: line.description,
+        amount: line.amount,
+        proration: line.proration
+      }))
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error previewing subscription change:', error);
+    res.status(500).json({
+      error: 'Failed to preview subscription change',
+      type: error.type || 'server_error'
+    });
+  }
+});
+
+// Move a subscription to another plan or billing cycle
+app.post('/change-subscription', requireAuth, rejectMismatchedUserId, requireProductCatalog, [
+  body('subscriptionId').isString().notEmpty(),
+  body('userId').optional().isString(),
+  body('planId').isString().notEmpty(),
+  body('billingCycle').isString().notEmpty().custom(isCatalogBillingCycle),
+  body('prorationBehavior').optional().isIn(PRORATION_BEHAVIORS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const {
+      subscriptionId,
+      planId,
+      billingCycle,
+      prorationBehavior = DEFAULT_PRORATION_BEHAVIOR
+    } = req.body;
+    const userId = req.user.id;
+
+    const subscription = await retrieveOwnedSubscription(subscriptionId, userId);
+    const { newPriceId, items, planName } = await resolvePlanChange(subscription, planId, billingCycle);
+
+    logger.info(`Changing subscription ${subscriptionId} to plan ${planId} (${billingCycle}) with proration ${prorationBehavior}`);
+
+    const updatedSubscription = await stripe.subscriptions.update(subscriptionId, {
+      items: items,
+      proration_behavior: prorationBehavior,
+      expand: ['latest_invoice.payment_intent'],
+      metadata: withRequestId({
+        planId: planId,
+        planName: planName,
+        billingCycle: billingCycle
+      })
+    });
+
+    // Update Supabase if configured
+    if (supabase) {
+      try {
+        await createOrUpdateBusinessSubscription(userId, buildSubscriptionData(updatedSubscription, null));
+        await updateSupabaseProfile(userId, {
+          ...getProfileSubscriptionFields(updatedSubscription),
+          plan_id: planId,
+          plan_name: planName,
+          billing_cycle: billingCycle
+        });
+      } catch (dbError) {
+        logger.warn('Failed to update Supabase after subscription change:', dbError);
+      }
+    }
+
+    const paymentIntent = updatedSubscription.latest_invoice?.payment_intent;
+    const response = {
+      subscriptionId: updatedSubscription.id,
+      status: updatedSubscription.status,
+      planId: planId,
+      planName: planName,
+      billingCycle: billingCycle,
+      prorationBehavior: prorationBehavior,
+      currentPeriodEnd: updatedSubscription.current_period_end
+    };
+
+    // An immediately invoiced change may need the customer to confirm payment
+    if (paymentIntent && paymentIntent.status === 'requires_action') {
+      response.requiresAction = true;
+      response.clientSecret = paymentIntent.client_secret;
+    }
+
+    EntitlementService.invalidate(userId);
+
+    res.json(response);
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error changing subscription:', error);
+    res.status(500).json({
+      error: error.type === 'StripeCardError' ? error.message : 'Failed to change subscription',
+      type: error.type || 'server_error'
+    });
+  }
+});
+
+// Redirect URLs must point at an allowed origin when ALLOWED_ORIGINS is set
+function isAllowedRedirectUrl(url) {
+  if (corsOrigins === '*') {
+    return true;
+  }
+
+  try {
+    return corsOrigins.includes(new URL(url).origin);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Find the Stripe customer that belongs to a user
+async function findCustomerIdForUser(userId) {
+  if (supabase) {
+    const { data: businessProfile, error } = await supabase
+      .from('business_profiles')
+      .select('stripe_customer_id')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to get business profile: ${error.message}`);
+    }
+
+    if (businessProfile?.stripe_customer_id) {
+      return businessProfile.stripe_customer_id;
+    }
+  }
+
+  const customers = await stripe.customers.search({
+    query: `metadata['userId']:'${userId}'`,
+    limit: 1
+  });
+
+  return customers.data.length > 0 ? customers.data[0].id : null;
+}
+
+// Create a hosted Checkout session for the web dashboard
+app.post('/create-checkout-session', requireAuth, rejectMismatchedUserId, requireProductCatalog, [
+  body('planId').isString().notEmpty(),
+  body('billingCycle').isString().notEmpty().custom(isCatalogBillingCycle),
+  body('successUrl').isURL({ require_tld: false }),
+  body('cancelUrl').isURL({ require_tld: false }),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).toLowerCase(),
+  body('userId').optional().isString(),
+  body('promotionCode').optional().isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const {
+      planId,
+      billingCycle,
+      successUrl,
+      cancelUrl,
+      currency = DEFAULT_CURRENCY,
+      promotionCode: promotionCodeInput
+    } = req.body;
+    const userId = req.user.id;
+    const email = req.user.email;
+
+    if (!isAllowedRedirectUrl(successUrl) || !isAllowedRedirectUrl(cancelUrl)) {
+      return res.status(400).json({
+        error: 'Redirect URL is not an allowed origin',
+        code: 'invalid_redirect_url'
+      });
+    }
+
+    const product = await ProductCatalogService.getProductByPlanId(planId);
+    if (!product || !(await ProductCatalogService.getPlanPrice(planId, billingCycle))) {
+      return res.status(400).json({
+        error: 'Invalid plan or billing cycle',
+        code: 'invalid_plan'
+      });
+    }
+
+    const priceId = await ProductCatalogService.validatePriceId(planId, billingCycle, currency);
+    if (!priceId) {
+      return res.status(400).json({
+        error: `Plan is not available in ${currency}`,
+        code: 'unsupported_currency'
+      });
+    }
+
+    const customer = await createOrRetrieveCustomer(userId, email);
+
+    const metadata = withRequestId({
+      userId: userId,
+      planId: planId,
+      planName: product.name,
+      billingCycle: billingCycle,
+      source: 'web_checkout'
+    });
+
+    const sessionParams = {
+      mode: 'subscription',
+      customer: customer.id,
+      client_reference_id: userId,
+      line_items: [{
+        price: priceId,
+        quantity: 1
+      }],
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      metadata: metadata,
+      subscription_data: {
+        metadata: metadata
+      }
+    };
+
+    if (product.trialDays > 0) {
+      sessionParams.subscription_data.trial_period_days = product.trialDays;
+    }
+
+    // Apply a known promotion code, otherwise let the customer enter one
+    if (promotionCodeInput) {
+      const promotionCode = await resolvePromotionCode(promotionCodeInput, product.id, customer.id);
+      sessionParams.discounts = [{ promotion_code: promotionCode.id }];
+      sessionParams.subscription_data.metadata = {
+        ...metadata,
+        promotionCode: promotionCode.code
+      };
+    } else {
+      sessionParams.allow_promotion_codes = true;
+    }
+
+    const session = await stripe.checkout.sessions.create(sessionParams);
+
+    logger.info(`Checkout session created: ${session.id} for customer: ${customer.id}`);
+
+    res.json({
+      sessionId: session.id,
+      url: session.url,
+      customerId: customer.id
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error creating checkout session:', error);
+    res.status(500).json({
+      error: 'Failed to create checkout session',
+      type: error.type || 'server_error'
+    });
+  }
+});
+
+// Create a Customer Portal session for self-service billing management
+app.post('/create-portal-session', requireAuth, [
+  body('returnUrl').isURL({ require_tld: false })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const { returnUrl } = req.body;
+
+    if (!isAllowedRedirectUrl(returnUrl)) {
+      return res.status(400).json({
+        error: 'Redirect URL is not an allowed origin',
+        code: 'invalid_redirect_url'
+      });
+    }
+
+    const customerId = await findCustomerIdForUser(req.user.id);
+    if (!customerId) {
+      return res.status(404).json({
+        error: 'No billing account found for this user',
+        code: 'customer_not_found'
+      });
+    }
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl
+    });
+
+    res.json({
+      url: session.url
+    });
+
+  } catch (error) {
+    logger.error('Error creating portal session:', error);
+    res.status(500).json({
+      error: 'Failed to create portal session',
+      type: error.type || 'server_error'
+    });
+  }
+});
+
+// Cancel subscription endpoint
+app.post('/cancel-subscription', requireAuth, rejectMismatchedUserId, [
+  body('subscriptionId').isString().notEmpty(),
+  body('userId').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const { subscriptionId } = req.body;
+    const userId = req.user.id;
+
+    logger.info(`Canceling subscription: ${subscriptionId}`);
+
+    await retrieveOwnedSubscription(subscriptionId, userId);
+
+    const subscription = await stripe.subscriptions.update(subscriptionId, {
+      cancel_at_period_end: true,
+      metadata: withRequestId()
+    });
+
+    // Access continues until the period ends; the business is only
+    // deactivated when customer.subscription.deleted arrives
+    if (supabase) {
+      try {
+        await updateSupabaseProfile(userId, getProfileSubscriptionFields(subscription));
+      } catch (dbError) {
+        logger.warn('Failed to update Supabase profile:', dbError);
+      }
+    }
+
+    res.json({
+      subscriptionId: subscription.id,
+      status: subscription.status,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      currentPeriodEnd: subscription.current_period_end
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error canceling subscription:', error);
+    res.status(500).json({
+      error: 'Failed to cancel subscription',
+      type: error.type || 'server_error'
+    });
+  }
+});
+
+// Resume a subscription that is scheduled to cancel at period end
+app.post('/resume-subscription', requireAuth, rejectMismatchedUserId, [
+  body('subscriptionId').isString().notEmpty(),
+  body('userId').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const { subscriptionId } = req.body;
+    const userId = req.user.id;
+
+    const existingSubscription = await retrieveOwnedSubscription(subscriptionId, userId);
+
+    if (!existingSubscription.cancel_at_period_end || existingSubscription.status === 'canceled') {
+      return res.status(400).json({
+        error: 'Subscription is not scheduled for cancellation',
+        code: 'subscription_not_pending_cancellation'
+      });
+    }
+
+    logger.info(`Resuming subscription: ${subscriptionId}`);
+
+    const subscription = await stripe.subscriptions.update(subscriptionId, {
+      cancel_at_period_end: false,
+      metadata: withRequestId()
+    });
+
+    // Update Supabase if configured
+    if (supabase) {
+      try {
+        await updateSupabaseProfile(userId, getProfileSubscriptionFields(subscription));
+      } catch (dbError) {
+        logger.warn('Failed to update Supabase profile:', dbError);
+      }
+    }
+
+    res.json({
+      subscriptionId: subscription.id,
+      status: subscription.status,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      currentPeriodEnd: subscription.current_period_end
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error resuming subscription:', error);
+    res.status(500).json({
+      error: 'Failed to resume subscription',
+      type: error.type || 'server_error'
+    });
+  }
+});
+
+// Get subscription details
+app.get('/subscription/:subscriptionId', requireAuth, async (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    const subscription = await retrieveOwnedSubscription(subscriptionId, req.user.id, {
+      expand: ['default_payment_method', 'items.data.price.product']
+    });
+
+    const catalog = await ProductCatalogService.getProductCatalog();
+    const items = subscription.items.data.map(item => {
+      const addOn = isAddOnItem(item)
+        ? catalog.products.find(p => p.id === item.price.product.id)
+        : null;
+
+      return {
+        id: item.id,
+        priceId: item.price.id,
+        productName: item.price.product.name,
+        unitAmount: item.price.unit_amount,
+        currency: item.price.currency,
+        type: item.price.type,
+        interval: item.price.recurring ? item.price.recurring.interval : null,
+        intervalCount: item.price.recurring ? item.price.recurring.interval_count : null,
+        usageType: item.price.recurring ? item.price.recurring.usage_type : null,
+        // Metered items have no quantity; usage is reported instead
+        quantity: isMeteredItem(item) ? null : item.quantity,
+        addOnId: isAddOnItem(item) ? (item.metadata.addOnId || (addOn ? addOn.planId : null)) : null
+      };
+    });
+
+    const planItem = getPlanSubscriptionItem(subscription);
+
+    res.json({
+      id: subscription.id,
+      status: subscription.status,
+      currentPeriodStart: subscription.current_period_start,
+      currentPeriodEnd: subscription.current_period_end,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      quantity: planItem ? planItem.quantity : null,
+      items: items,
+      addOns: items.filter(item => item.addOnId)
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error retrieving subscription:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve subscription',
+      type: error.type || 'server_error'
+    });
+  }
+});
+
+// Change the number of seats on a subscription, or the quantity of a per-unit
+// add-on when addOnId is given
+app.post('/subscription/:subscriptionId/quantity', requireAuth, [
+  body('quantity').isInt({ min: 1, max: 10000 }).toInt(),
+  body('addOnId').optional().isString().notEmpty(),
+  body('prorationBehavior').optional().isIn(PRORATION_BEHAVIORS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const { subscriptionId } = req.params;
+    const { quantity, addOnId, prorationBehavior = DEFAULT_PRORATION_BEHAVIOR } = req.body;
+    const userId = req.user.id;
+
+    const subscription = await retrieveOwnedSubscription(subscriptionId, userId);
+
+    const item = addOnId
+      ? await getAddOnSubscriptionItem(subscription, addOnId)
+      : getPlanSubscriptionItem(subscription);
+
+    if (isMeteredItem(item)) {
+      throw new ApiError(400, 'invalid_add_on_quantity', `Add-on ${addOnId} is billed by reported usage and takes no quantity`);
+    }
+    if (item.quantity === quantity) {
+      throw new ApiError(400, 'subscription_unchanged', `Quantity is already ${quantity}`);
+    }
+
+    logger.info(`Changing quantity of ${addOnId || 'plan'} on subscription ${subscriptionId} from ${item.quantity} to ${quantity} with proration ${prorationBehavior}`);
+
+    const updatedSubscription = await stripe.subscriptions.update(subscriptionId, {
+      items: [{
+        id: item.id,
+        quantity: quantity
+      }],
+      proration_behavior: prorationBehavior,
       expand: ['latest_invoice.payment_intent'],
-      metadata: {
-        userId: userId || '',
-        planId: planId,
-        planName: planName,
-        billingCycle: billingCycle,
-        source: 'mobile_app'
-      }
+      metadata: withRequestId()
     });
 
-    logger.info(`Subscription created: ${subscription.id} for customer: ${customer.id}`);
-
     // Update Supabase if configured
-    if (supabase && userId) {
+    if (supabase) {
       try {
-        await updateSupabaseProfile(userId, {
-          stripe_customer_id: customer.id,
-          subscription_id: subscription.id,
-          subscription_status: subscription.status,
-          plan_id: planId,
-          plan_name: planName,
-          billing_cycle: billingCycle
-        });
-        logger.info(`Updated Supabase profile for user: ${userId}`);
+        await createOrUpdateBusinessSubscription(userId, buildSubscriptionData(updatedSubscription, null));
       } catch (dbError) {
-        logger.warn('Failed to update Supabase profile:', dbError);
-        // Don't fail the request if database update fails
+        logger.warn('Failed to update Supabase after quantity change:', dbError);
       }
     }
 
+    EntitlementService.invalidate(userId);
+
+    const paymentIntent = updatedSubscription.latest_invoice?.payment_intent;
     const response = {
-      subscriptionId: subscription.id,
-      customerId: customer.id,
-      status: subscription.status,
-      clientSecret: subscription.latest_invoice?.payment_intent?.client_secret,
-      planId: planId,
-      planName: planName,
-      billingCycle: billingCycle
+      subscriptionId: updatedSubscription.id,
+      status: updatedSubscription.status,
+      addOnId: addOnId || null,
+      previousQuantity: item.quantity,
+      quantity: quantity,
+      prorationBehavior: prorationBehavior
     };
 
-    // Only include client secret if payment requires action
-    if (subscription.status === 'incomplete') {
+    // An immediately invoiced change may need the customer to confirm payment
+    if (paymentIntent && paymentIntent.status === 'requires_action') {
       response.requiresAction = true;
+      response.clientSecret = paymentIntent.client_secret;
     }
 
     res.json(response);
 
   } catch (error) {
-    logger.error('Error creating subscription:', error);
-    
-    // Provide user-friendly error messages
-    let errorMessage = 'Failed to create subscription';
-    
-    if (error.type === 'StripeCardError') {
-      errorMessage = error.message;
-    } else if (error.type === 'StripeInvalidRequestError') {
-      errorMessage = 'Invalid payment information provided';
-    } else if (error.message.includes('customer')) {
-      errorMessage = 'Failed to process customer information';
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
     }
 
+    logger.error('Error changing subscription quantity:', error);
     res.status(500).json({
-      error: errorMessage,
+      error: 'Failed to change subscription quantity',
       type: error.type || 'server_error'
     });
   }
 });
 
-// Create payment intent for platform payments (Apple Pay/Google Pay)
-app.post('/create-payment-intent', [
-  body('amount').isInt({ min: 50 }), // Minimum $0.50
-  body('currency').isIn(['usd']),
-  body('email').isEmail().normalizeEmail(),
-  body('userId').optional().isString(),
-  body('planId').isString().notEmpty(),
-  body('planName').isString().notEmpty(),
-  body('billingCycle').isIn(['monthly', 'yearly'])
+// Find the subscription item of an add-on (metered or billed per unit) on a
+// subscription
+async function getAddOnSubscriptionItem(subscription, addOnId) {
+  const addOn = await ProductCatalogService.getProductByPlanId(addOnId);
+  const item = addOn && subscription.items.data.find(subscriptionItem =>
+    isAddOnItem(subscriptionItem) && getStripeId(subscriptionItem.price.product) === addOn.id);
+
+  if (!item) {
+    throw new ApiError(400, 'add_on_not_subscribed', `Subscription does not include the ${addOnId} add-on`);
+  }
+
+  return item;
+}
+
+// Usage reported through /usage by subscription item and usageId (used when
+// Supabase is not configured)
+const memoryReportedUsage = new Map();
+
+// Usage already reported to Stripe. Stripe only remembers idempotency keys for
+// 24 hours, so a usageId retried later is recognised from here instead.
+class ReportedUsageStore {
+  static async get(subscriptionItemId, usageId) {
+    if (!supabase) {
+      return memoryReportedUsage.get(`${subscriptionItemId}:${usageId}`) || null;
+    }
+
+    const { data, error } = await supabase
+      .from('reported_usage')
+      .select('*')
+      .eq('subscription_item_id', subscriptionItemId)
+      .eq('usage_id', usageId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to get reported usage: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  static async save(record) {
+    if (!supabase) {
+      memoryReportedUsage.set(`${record.subscription_item_id}:${record.usage_id}`, record);
+      return;
+    }
+
+    const { error } = await supabase
+      .from('reported_usage')
+      .insert(record);
+
+    // 23505 = unique violation: a concurrent retry already saved it
+    if (error && error.code !== '23505') {
+      throw new Error(`Failed to save reported usage: ${error.message}`);
+    }
+  }
+}
+
+// Report usage of a metered add-on. usageId identifies the usage event on the
+// client, so retrying the same report is only counted once.
+app.post('/usage', requireAuth, [
+  body('subscriptionId').isString().notEmpty(),
+  body('addOnId').isString().notEmpty(),
+  body('quantity').isInt({ min: 1 }).toInt(),
+  body('usageId').isString().isLength({ min: 1, max: 200 }),
+  body('timestamp').optional().isInt({ min: 0 }).toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -679,57 +3260,86 @@ app.post('/create-payment-intent', [
       });
     }
 
-    const {
-      amount,
-      currency,
-      email,
-      userId,
-      planId,
-      planName,
-      billingCycle
-    } = req.body;
+    const { subscriptionId, addOnId, quantity, usageId } = req.body;
+    const timestamp = req.body.timestamp || Math.floor(Date.now() / 1000);
 
-    logger.info(`Creating payment intent for ${email} - Amount: ${amount} ${currency}`);
+    const subscription = await retrieveOwnedSubscription(subscriptionId, req.user.id);
+    if (['canceled', 'incomplete_expired'].includes(subscription.status)) {
+      throw new ApiError(400, 'subscription_inactive', `Usage cannot be reported on a ${subscription.status} subscription`);
+    }
 
-    // Create or retrieve customer
-    const customer = await createOrRetrieveCustomer(email, userId);
+    const item = await getAddOnSubscriptionItem(subscription, addOnId);
+    if (!isMeteredItem(item)) {
+      throw new ApiError(400, 'add_on_not_metered', `Add-on ${addOnId} is billed per unit; change its quantity instead of reporting usage`);
+    }
 
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amount,
-      currency: currency,
-      customer: customer.id,
-      setup_future_usage: 'off_session',
-      metadata: {
-        userId: userId || '',
-        planId: planId,
-        planName: planName,
-        billingCycle: billingCycle,
-        source: 'mobile_app_platform_pay'
+    let reportedUsage = await ReportedUsageStore.get(item.id, usageId);
+    if (reportedUsage) {
+      if (reportedUsage.quantity !== quantity) {
+        throw new ApiError(409, 'usage_conflict', 'Usage with this usageId was already reported with different values');
       }
-    });
 
-    logger.info(`Payment intent created: ${paymentIntent.id}`);
+      logger.info(`Usage ${usageId} on subscription ${subscriptionId} was already reported`);
+    } else {
+      const usageRecord = await stripe.subscriptionItems.createUsageRecord(item.id, {
+        quantity: quantity,
+        timestamp: timestamp,
+        action: 'increment'
+      }, {
+        idempotencyKey: `usage-${item.id}-${usageId}`
+      });
+
+      // A failure here fails the request; the client's retry is deduplicated
+      // by the Stripe idempotency key and saves the record again
+      reportedUsage = {
+        subscription_item_id: item.id,
+        usage_id: usageId,
+        usage_record_id: usageRecord.id,
+        quantity: usageRecord.quantity,
+        usage_timestamp: usageRecord.timestamp,
+        reported_at: new Date().toISOString()
+      };
+      await ReportedUsageStore.save(reportedUsage);
+
+      logger.info(`Reported ${quantity} ${addOnId} usage on subscription ${subscriptionId} (${usageId})`);
+    }
 
     res.json({
-      clientSecret: paymentIntent.client_secret,
-      customerId: customer.id,
-      paymentIntentId: paymentIntent.id
+      usageRecordId: reportedUsage.usage_record_id,
+      subscriptionId: subscriptionId,
+      subscriptionItemId: item.id,
+      addOnId: addOnId,
+      quantity: reportedUsage.quantity,
+      timestamp: reportedUsage.usage_timestamp
     });
 
   } catch (error) {
-    logger.error('Error creating payment intent:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    // The same usageId was reported before with different values
+    if (error.type === 'StripeIdempotencyError') {
+      return res.status(409).json({
+        error: 'Usage with this usageId was already reported with different values',
+        code: 'usage_conflict'
+      });
+    }
+
+    logger.error('Error reporting usage:', error);
     res.status(500).json({
-      error: 'Failed to create payment intent',
+      error: 'Failed to report usage',
       type: error.type || 'server_error'
     });
   }
 });
 
-// Cancel subscription endpoint
-app.post('/cancel-subscription', [
-  body('subscriptionId').isString().notEmpty(),
-  body('userId').optional().isString()
+// Usage totals of each add-on on a subscription for the current period
+app.get('/usage/summary', requireAuth, [
+  query('subscriptionId').isString().notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -740,79 +3350,55 @@ app.post('/cancel-subscription', [
       });
     }
 
-    const { subscriptionId, userId } = req.body;
-
-    logger.info(`Canceling subscription: ${subscriptionId}`);
+    const subscription = await retrieveOwnedSubscription(req.query.subscriptionId, req.user.id);
+    const catalog = await ProductCatalogService.getProductCatalog();
 
-    const subscription = await stripe.subscriptions.update(subscriptionId, {
-      cancel_at_period_end: true
-    });
+    const addOns = await Promise.all(subscription.items.data.filter(isMeteredItem).map(async item => {
+      // The newest summary covers the current billing period
+      const summaries = await stripe.subscriptionItems.listUsageRecordSummaries(item.id, { limit: 1 });
+      const summary = summaries.data[0];
+      const addOn = catalog.products.find(p => p.id === getStripeId(item.price.product));
 
-    // Update Supabase if configured
-    if (supabase && userId) {
-      try {
-        await updateSupabaseProfile(userId, {
-          subscription_status: 'canceled'
-        });
-      } catch (dbError) {
-        logger.warn('Failed to update Supabase profile:', dbError);
-      }
-    }
+      return {
+        addOnId: addOn ? addOn.planId : null,
+        name: addOn ? addOn.name : null,
+        subscriptionItemId: item.id,
+        priceId: item.price.id,
+        unitAmount: item.price.unit_amount,
+        currency: item.price.currency,
+        totalUsage: summary ? summary.total_usage : 0,
+        periodStart: summary ? summary.period.start : subscription.current_period_start,
+        periodEnd: summary ? summary.period.end : subscription.current_period_end
+      };
+    }));
 
     res.json({
       subscriptionId: subscription.id,
-      status: subscription.status,
-      cancelAtPeriodEnd: subscription.cancel_at_period_end,
-      currentPeriodEnd: subscription.current_period_end
-    });
-
-  } catch (error) {
-    logger.error('Error canceling subscription:', error);
-    res.status(500).json({
-      error: 'Failed to cancel subscription',
-      type: error.type || 'server_error'
-    });
-  }
-});
-
-// Get subscription details
-app.get('/subscription/:subscriptionId', async (req, res) => {
-  try {
-    const { subscriptionId } = req.params;
-
-    const subscription = await stripe.subscriptions.retrieve(subscriptionId, {
-      expand: ['default_payment_method', 'items.data.price.product']
-    });
-
-    res.json({
-      id: subscription.id,
-      status: subscription.status,
       currentPeriodStart: subscription.current_period_start,
       currentPeriodEnd: subscription.current_period_end,
-      cancelAtPeriodEnd: subscription.cancel_at_period_end,
-      items: subscription.items.data.map(item => ({
-        id: item.id,
-        priceId: item.price.id,
-        productName: item.price.product.name,
-        unitAmount: item.price.unit_amount,
-        currency: item.price.currency,
-        interval: item.price.recurring.interval
-      }))
+      addOns: addOns
     });
 
   } catch (error) {
-    logger.error('Error retrieving subscription:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error retrieving usage summary:', error);
     res.status(500).json({
-      error: 'Failed to retrieve subscription',
+      error: 'Failed to retrieve usage summary',
       type: error.type || 'server_error'
     });
   }
 });
 
 // Get payment status for testing purposes
-app.get('/payment-status/:userId', async (req, res) => {
+app.get('/payment-status/:userId', requireAuth, rejectMismatchedUserId, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.user.id;
 
     if (!supabase) {
       return res.status(500).json({
@@ -824,7 +3410,7 @@ app.get('/payment-status/:userId', async (req, res) => {
     // Get business profile status
     const { data: businessProfile, error: profileError } = await supabase
       .from('business_profiles')
-      .select('business_status, is_active, stripe_customer_id')
+      .select('business_status, is_active, stripe_customer_id, subscription_status, subscription_cancel_at, trial_ends_at, trial_ending_soon')
       .eq('user_id', userId)
       .single();
 
@@ -859,7 +3445,18 @@ app.get('/payment-status/:userId', async (req, res) => {
     if (subscription && businessProfile) {
       isActive = businessProfile.is_active && businessProfile.business_status === 'Active';
       
-      if (subscription.status === 'active' && isActive) {
+      if (subscription.status === 'active' && isActive &&
+          businessProfile.subscription_status === 'pending_cancellation') {
+        const cancelDate = new Date(businessProfile.subscription_cancel_at).toDateString();
+        status = 'pending_cancellation';
+        message = `⚠️ Subscription canceled. Your business profile stays active until ${cancelDate}.`;
+      } else if (subscription.status === 'trialing' && isActive) {
+        const trialEndDate = new Date(businessProfile.trial_ends_at).toDateString();
+        status = 'trialing';
+        message = businessProfile.trial_ending_soon
+          ? `⏰ Your free trial ends on ${trialEndDate}. Add a payment method to keep your business profile active.`
+          : `🎉 Your free trial is active until ${trialEndDate}.`;
+      } else if (subscription.status === 'active' && isActive) {
         status = 'success';
         message = '🎉 Payment successful! Your business profile has been activated and is ready to use.';
       } else if (subscription.status === 'incomplete') {
@@ -867,7 +3464,7 @@ app.get('/payment-status/:userId', async (req, res) => {
         message = '⏳ Payment is being processed. Please wait for confirmation.';
       } else if (subscription.status === 'past_due') {
         status = 'error';
-        message = '❌ Payment failed. Your business profile has been deactivated. Please update your payment method.';
+        message = '❌ Payment failed. Your business profile stays active while the payment is retried. Please update your payment method.';
       } else if (subscription.status === 'canceled') {
         status = 'canceled';
         message = '⚠️ Subscription has been canceled. Your business profile is inactive.';
@@ -887,7 +3484,11 @@ app.get('/payment-status/:userId', async (req, res) => {
       businessProfile: businessProfile ? {
         businessStatus: businessProfile.business_status,
         isActive: businessProfile.is_active,
-        hasStripeCustomer: !!businessProfile.stripe_customer_id
+        hasStripeCustomer: !!businessProfile.stripe_customer_id,
+        subscriptionStatus: businessProfile.subscription_status,
+        cancelAt: businessProfile.subscription_cancel_at,
+        trialEndsAt: businessProfile.trial_ends_at,
+        trialEndingSoon: !!businessProfile.trial_ending_soon
       } : null,
       subscription: subscription ? {
         status: subscription.status,
@@ -908,8 +3509,174 @@ app.get('/payment-status/:userId', async (req, res) => {
   }
 });
 
+// Subscription statuses that grant the plan's entitlements
+const ENTITLED_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+// How long a resolved entitlement set is reused before it is resolved again
+const ENTITLEMENTS_CACHE_TTL_MS = parseInt(process.env.ENTITLEMENTS_CACHE_TTL_MS) || 5 * 60 * 1000;
+
+// Resolved entitlement sets by user ID
+const entitlementsCache = new Map();
+
+// Resolves what a user may do from their current Stripe subscription and the
+// features and limits in the subscribed product's metadata
+class EntitlementService {
+  static async getEntitlements(userId) {
+    const cached = entitlementsCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.entitlements;
+    }
+
+    const entitlements = await this.resolveEntitlements(userId);
+    entitlementsCache.set(userId, {
+      entitlements: entitlements,
+      expiresAt: Date.now() + ENTITLEMENTS_CACHE_TTL_MS
+    });
+
+    return entitlements;
+  }
+
+  static async resolveEntitlements(userId) {
+    const entitlements = {
+      userId: userId,
+      customerId: null,
+      status: 'none',
+      subscriptionId: null,
+      planId: null,
+      planName: null,
+      features: [],
+      limits: {},
+      resolvedAt: new Date().toISOString()
+    };
+
+    const customerId = await findCustomerIdForUser(userId);
+    if (!customerId) {
+      return entitlements;
+    }
+    entitlements.customerId = customerId;
+
+    const subscriptions = await stripe.subscriptions.list({
+      customer: customerId,
+      status: 'all',
+      limit: 20
+    });
+
+    const subscription = subscriptions.data.find(sub => ENTITLED_SUBSCRIPTION_STATUSES.includes(sub.status));
+    if (!subscription) {
+      return entitlements;
+    }
+
+    const productId = getStripeId(getPlanSubscriptionItem(subscription).price.product);
+    const catalog = await ProductCatalogService.getProductCatalog();
+    const product = catalog.products.find(p => p.id === productId);
+
+    entitlements.status = subscription.status;
+    entitlements.subscriptionId = subscription.id;
+
+    if (!product) {
+      logger.warn(`Product ${productId} for subscription ${subscription.id} is not in the catalog, granting no plan features`);
+      return entitlements;
+    }
+
+    entitlements.planId = product.planId;
+    entitlements.planName = product.name;
+    entitlements.features = product.features;
+    entitlements.limits = product.limits;
+
+    return entitlements;
+  }
+
+  static invalidate(userId) {
+    this.invalidateShared({ userId: userId });
+  }
+
+  static invalidateCustomer(customerId) {
+    this.invalidateShared({ customerId: customerId });
+  }
+
+  static invalidateAll() {
+    this.invalidateShared({ all: true });
+  }
+
+  // Drop cached entitlements here and tell the other instances to do the same.
+  // A lost broadcast is covered by ENTITLEMENTS_CACHE_TTL_MS.
+  static invalidateShared(invalidation) {
+    this.applyInvalidation(invalidation);
+
+    catalogCacheBackend.publishEntitlementInvalidation(invalidation).catch(error => {
+      logger.warn(`Failed to broadcast entitlements invalidation: ${error.message}`);
+    });
+  }
+
+  // Drop the cached entitlements an invalidation from this or another
+  // instance applies to
+  static applyInvalidation({ userId, customerId, all }) {
+    if (all) {
+      entitlementsCache.clear();
+      return;
+    }
+
+    if (userId) {
+      entitlementsCache.delete(userId);
+    }
+    if (customerId) {
+      entitlementsCache.forEach((cached, cachedUserId) => {
+        if (cached.entitlements.customerId === customerId) {
+          entitlementsCache.delete(cachedUserId);
+        }
+      });
+    }
+  }
+
+  // Drop the cached entitlements a processed webhook event may have changed
+  static invalidateForEvent(event) {
+    const object = event.data.object;
+
+    if (event.type.startsWith('product.') || event.type.startsWith('price.')) {
+      this.invalidateAll();
+      return;
+    }
+
+    if (!event.type.startsWith('customer.subscription.') &&
+        !event.type.startsWith('invoice.') &&
+        !['payment_intent.succeeded', 'checkout.session.completed'].includes(event.type)) {
+      return;
+    }
+
+    const userId = object.metadata?.userId || object.client_reference_id;
+    const customerId = object.customer ? getStripeId(object.customer) : null;
+    if (userId || customerId) {
+      this.invalidateShared({ userId: userId, customerId: customerId });
+    }
+  }
+}
+
+// Get the resolved entitlements of the signed-in user
+app.get('/entitlements', requireAuth, async (req, res) => {
+  try {
+    const entitlements = await EntitlementService.getEntitlements(req.user.id);
+
+    res.json({
+      userId: entitlements.userId,
+      status: entitlements.status,
+      subscriptionId: entitlements.subscriptionId,
+      planId: entitlements.planId,
+      planName: entitlements.planName,
+      features: entitlements.features,
+      limits: entitlements.limits,
+      resolvedAt: entitlements.resolvedAt
+    });
+  } catch (error) {
+    logger.error('Error resolving entitlements:', error);
+    res.status(500).json({
+      error: 'Failed to resolve entitlements',
+      message: error.message
+    });
+  }
+});
+
 // Test payment completion endpoint (for testing purposes)
-app.post('/test-payment-complete', [
+app.post('/test-payment-complete', requireTestRoutesEnabled, requireAdmin('testing'), [
   body('userId').isString().notEmpty(),
   body('subscriptionId').isString().notEmpty(),
   body('success').isBoolean()
@@ -940,16 +3707,10 @@ app.post('/test-payment-complete', [
         const subscription = await stripe.subscriptions.retrieve(subscriptionId);
         
         // Update business subscription
-        const subscriptionData = {
-          subscriptionId: subscription.id,
-          customerId: subscription.customer,
+        const subscriptionData = buildSubscriptionData(subscription, null, {
           status: 'active',
-          planName: subscription.metadata.planName || 'Test Plan',
-          billingCycle: subscription.metadata.billingCycle || 'monthly',
-          currentPeriodStart: new Date(subscription.current_period_start * 1000).toISOString(),
-          currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
-          nextBillingDate: new Date(subscription.current_period_end * 1000).toISOString()
-        };
+          planName: subscription.metadata.planName || 'Test Plan'
+        });
 
         await createOrUpdateBusinessSubscription(userId, subscriptionData);
 
@@ -975,16 +3736,15 @@ app.post('/test-payment-complete', [
     } else {
       // Simulate failed payment
       try {
-        // Update business profile to inactive
+        // Like a real failed payment, the business stays active while the
+        // payment is retried
         await updateSupabaseProfile(userId, {
-          subscription_status: 'past_due',
-          business_status: 'Not Active',
-          is_active: false
+          subscription_status: 'past_due'
         });
 
         res.json({
           status: 'error',
-          message: '❌ Test payment failed. Business profile has been deactivated.',
+          message: '❌ Test payment failed. Business profile stays active while the payment is retried.',
           businessActivated: false
         });
 
@@ -998,10 +3758,64 @@ app.post('/test-payment-complete', [
     }
 
   } catch (error) {
-    logger.error('Error in test payment completion:', error);
+    logger.error('Error in test payment completion:', error);
+    res.status(500).json({
+      status: 'error',
+      message: '❌ Test payment processing failed: ' + error.message
+    });
+  }
+});
+
+// List webhook events that exhausted their retries
+app.get('/admin/webhook-events/dead-letters', requireAdmin('webhooks'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const deadLetters = await WebhookQueue.listDeadLetters(limit);
+
+    res.json({
+      count: deadLetters.length,
+      events: deadLetters.map(deadLetter => ({
+        eventId: deadLetter.event_id,
+        type: deadLetter.type,
+        attempts: deadLetter.attempts,
+        lastError: deadLetter.last_error,
+        failedAt: deadLetter.failed_at
+      }))
+    });
+  } catch (error) {
+    logger.error('Error listing dead-lettered webhook events:', error);
+    res.status(500).json({
+      error: 'Failed to list dead-lettered events',
+      message: error.message
+    });
+  }
+});
+
+// Put a dead-lettered webhook event back on the queue
+app.post('/admin/webhook-events/:eventId/replay', requireAdmin('webhooks'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const deadLetter = await WebhookQueue.replayDeadLetter(eventId);
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        error: 'Dead-lettered event not found',
+        code: 'dead_letter_not_found',
+        eventId: eventId
+      });
+    }
+
+    res.json({
+      message: 'Webhook event queued for replay',
+      eventId: deadLetter.event_id,
+      type: deadLetter.type
+    });
+    setImmediate(drainWebhookQueue);
+  } catch (error) {
+    logger.error('Error replaying webhook event:', error);
     res.status(500).json({
-      status: 'error',
-      message: '❌ Test payment processing failed: ' + error.message
+      error: 'Failed to replay webhook event',
+      message: error.message
     });
   }
 });
@@ -1011,27 +3825,42 @@ async function handleWebhookEvent(event) {
   switch (event.type) {
     case 'customer.subscription.created':
       logger.info(`Subscription created: ${event.data.object.id}`);
-      await handleSubscriptionCreated(event.data.object);
+      await handleSubscriptionCreated(event.data.object, event);
       break;
 
     case 'customer.subscription.updated':
       logger.info(`Subscription updated: ${event.data.object.id}`);
-      await handleSubscriptionUpdated(event.data.object);
+      await handleSubscriptionUpdated(event.data.object, event);
       break;
 
     case 'customer.subscription.deleted':
       logger.info(`Subscription deleted: ${event.data.object.id}`);
-      await handleSubscriptionDeleted(event.data.object);
+      await handleSubscriptionDeleted(event.data.object, event);
+      break;
+
+    case 'customer.subscription.trial_will_end':
+      logger.info(`Trial ending soon for subscription: ${event.data.object.id}`);
+      await handleTrialWillEnd(event.data.object, event);
+      break;
+
+    case 'payment_intent.succeeded':
+      logger.info(`Payment intent succeeded: ${event.data.object.id}`);
+      await handlePaymentIntentSucceeded(event.data.object, event);
+      break;
+
+    case 'checkout.session.completed':
+      logger.info(`Checkout session completed: ${event.data.object.id}`);
+      await handleCheckoutSessionCompleted(event.data.object, event);
       break;
 
     case 'invoice.payment_succeeded':
       logger.info(`Payment succeeded for invoice: ${event.data.object.id}`);
-      await handlePaymentSucceeded(event.data.object);
+      await handlePaymentSucceeded(event.data.object, event);
       break;
 
     case 'invoice.payment_failed':
       logger.info(`Payment failed for invoice: ${event.data.object.id}`);
-      await handlePaymentFailed(event.data.object);
+      await handlePaymentFailed(event.data.object, event);
       break;
 
     case 'product.created':
@@ -1042,171 +3871,463 @@ async function handleWebhookEvent(event) {
     case 'price.deleted':
       logger.info(`Product/Price catalog changed: ${event.type}`);
       // Refresh product catalog when products or prices change
-      try {
-        await ProductCatalogService.getProductCatalog(true);
-        logger.info('Product catalog refreshed due to webhook event');
-      } catch (error) {
-        logger.error('Failed to refresh product catalog:', error);
+      await ProductCatalogService.getProductCatalog(true);
+      logger.info('Product catalog refreshed due to webhook event');
+
+      // Keep the plans table in step with the changed product
+      if (event.type === 'product.deleted') {
+        await deactivatePlan(event.data.object.id);
+      } else {
+        await syncPlanForProduct(event.type.startsWith('product.')
+          ? event.data.object.id
+          : getStripeId(event.data.object.product));
       }
       break;
 
     default:
       logger.info(`Unhandled event type: ${event.type}`);
   }
+
+  EntitlementService.invalidateForEvent(event);
+}
+
+// Map a Stripe subscription onto the fields stored in business_subscriptions
+function buildSubscriptionData(subscription, event, overrides = {}) {
+  const planItem = subscription.items?.data.length ? getPlanSubscriptionItem(subscription) : null;
+  const planPrice = planItem ? planItem.price : null;
+
+  const subscriptionData = {
+    subscriptionId: subscription.id,
+    customerId: subscription.customer,
+    status: subscription.status,
+    productId: planPrice ? getStripeId(planPrice.product) : null,
+    quantity: planItem ? planItem.quantity : null,
+    requestId: subscription.metadata.requestId || getRequestId(),
+    planName: subscription.metadata.planName || 'Unknown Plan',
+    billingCycle: subscription.metadata.billingCycle || 'monthly',
+    trialEnd: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null,
+    discount: subscription.discount ? {
+      promotionCode: subscription.metadata.promotionCode || null,
+      couponId: subscription.discount.coupon.id,
+      percentOff: subscription.discount.coupon.percent_off,
+      amountOff: subscription.discount.coupon.amount_off
+    } : null,
+    eventCreated: event ? event.created : null
+  };
+
+  if (subscription.current_period_start && subscription.current_period_end) {
+    subscriptionData.currentPeriodStart = new Date(subscription.current_period_start * 1000).toISOString();
+    subscriptionData.currentPeriodEnd = new Date(subscription.current_period_end * 1000).toISOString();
+    subscriptionData.nextBillingDate = new Date(subscription.current_period_end * 1000).toISOString();
+  }
+
+  return { ...subscriptionData, ...overrides };
+}
+
+// Subscription fields stored on business_profiles. A subscription set to
+// cancel at period end keeps its access, so it is recorded as
+// pending_cancellation together with the date it ends.
+function getProfileSubscriptionFields(subscription) {
+  const pendingCancellation = subscription.cancel_at_period_end &&
+                              ['active', 'trialing'].includes(subscription.status);
+
+  const fields = {
+    subscription_status: pendingCancellation ? 'pending_cancellation' : subscription.status,
+    subscription_cancel_at: pendingCancellation
+      ? new Date(subscription.current_period_end * 1000).toISOString()
+      : null
+  };
+
+  if (subscription.status === 'trialing' && subscription.trial_end) {
+    fields.trial_ends_at = new Date(subscription.trial_end * 1000).toISOString();
+  } else {
+    fields.trial_ends_at = null;
+    fields.trial_ending_soon = false;
+  }
+
+  return fields;
+}
+
+// Businesses on a free trial are usable during the trial
+async function activateTrialingBusiness(subscription) {
+  if (subscription.status !== 'trialing') {
+    return;
+  }
+
+  await activateBusinessProfile(subscription.metadata.userId, {
+    customerId: subscription.customer,
+    subscriptionId: subscription.id,
+    status: 'trialing',
+    cancelAtPeriodEnd: subscription.cancel_at_period_end
+  });
 }
 
 // Webhook handlers
-async function handleSubscriptionCreated(subscription) {
+async function handleSubscriptionCreated(subscription, event) {
   if (supabase && subscription.metadata.userId) {
-    try {
-      // Create business subscription record
-      const subscriptionData = {
-        subscriptionId: subscription.id,
-        customerId: subscription.customer,
-        status: subscription.status,
-        planName: subscription.metadata.planName || 'Unknown Plan',
-        billingCycle: subscription.metadata.billingCycle || 'monthly',
-        currentPeriodStart: new Date(subscription.current_period_start * 1000).toISOString(),
-        currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
-        nextBillingDate: new Date(subscription.current_period_end * 1000).toISOString()
-      };
+    if (await isStaleSubscriptionEvent(subscription.id, event)) {
+      return;
+    }
 
-      await createOrUpdateBusinessSubscription(subscription.metadata.userId, subscriptionData);
+    // Create business subscription record
+    const subscriptionData = buildSubscriptionData(subscription, event);
 
-      // Also update the business profile
-      await updateSupabaseProfile(subscription.metadata.userId, {
-        subscription_status: subscription.status,
-        subscription_id: subscription.id,
-        stripe_customer_id: subscription.customer
-      });
+    await createOrUpdateBusinessSubscription(subscription.metadata.userId, subscriptionData);
+    await activateTrialingBusiness(subscription);
 
-      logger.info(`Successfully processed subscription creation for user: ${subscription.metadata.userId}`);
-    } catch (error) {
-      logger.error('Error updating profile on subscription created:', error);
+    // Also update the business profile
+    await updateSupabaseProfile(subscription.metadata.userId, {
+      ...getProfileSubscriptionFields(subscription),
+      subscription_id: subscription.id,
+      stripe_customer_id: subscription.customer
+    });
+
+    logger.info(`Successfully processed subscription creation for user: ${subscription.metadata.userId}`);
+  }
+}
+
+async function handleSubscriptionUpdated(subscription, event) {
+  if (supabase && subscription.metadata.userId) {
+    if (await isStaleSubscriptionEvent(subscription.id, event)) {
+      return;
     }
+
+    // Update business subscription record
+    const subscriptionData = buildSubscriptionData(subscription, event);
+
+    await createOrUpdateBusinessSubscription(subscription.metadata.userId, subscriptionData);
+    await activateTrialingBusiness(subscription);
+
+    // Also update the business profile
+    await updateSupabaseProfile(subscription.metadata.userId, getProfileSubscriptionFields(subscription));
+
+    logger.info(`Successfully processed subscription update for user: ${subscription.metadata.userId}`);
   }
 }
 
-async function handleSubscriptionUpdated(subscription) {
+async function handleSubscriptionDeleted(subscription, event) {
   if (supabase && subscription.metadata.userId) {
-    try {
-      // Update business subscription record
-      const subscriptionData = {
-        subscriptionId: subscription.id,
-        customerId: subscription.customer,
-        status: subscription.status,
-        planName: subscription.metadata.planName || 'Unknown Plan',
-        billingCycle: subscription.metadata.billingCycle || 'monthly',
-        currentPeriodStart: new Date(subscription.current_period_start * 1000).toISOString(),
-        currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
-        nextBillingDate: new Date(subscription.current_period_end * 1000).toISOString()
-      };
+    if (await isStaleSubscriptionEvent(subscription.id, event)) {
+      return;
+    }
+
+    // Update business subscription status to canceled
+    const subscriptionData = buildSubscriptionData(subscription, event, {
+      status: 'canceled'
+    });
+
+    await createOrUpdateBusinessSubscription(subscription.metadata.userId, subscriptionData);
+
+    // Update business profile to inactive
+    await updateSupabaseProfile(subscription.metadata.userId, {
+      subscription_status: 'canceled',
+      subscription_cancel_at: null,
+      subscription_id: null,
+      business_status: 'Not Active',
+      is_active: false
+    });
+
+    logger.info(`Successfully processed subscription deletion for user: ${subscription.metadata.userId}`);
+  }
+}
+
+async function handleTrialWillEnd(subscription, event) {
+  if (supabase && subscription.metadata.userId) {
+    if (await isStaleSubscriptionEvent(subscription.id, event)) {
+      return;
+    }
+
+    // Flag the profile so the app can prompt the user before the trial ends
+    await updateSupabaseProfile(subscription.metadata.userId, {
+      trial_ends_at: new Date(subscription.trial_end * 1000).toISOString(),
+      trial_ending_soon: true
+    });
+
+    logger.info(`Flagged trial ending for user: ${subscription.metadata.userId}`);
+  }
+}
+
+async function handleCheckoutSessionCompleted(session, event) {
+  if (supabase && session.mode === 'subscription' && session.subscription) {
+    const subscription = await stripe.subscriptions.retrieve(session.subscription);
+    const userId = subscription.metadata.userId || session.client_reference_id;
+
+    if (!userId || !['active', 'trialing'].includes(subscription.status)) {
+      logger.info(`Checkout session ${session.id} completed with subscription status ${subscription.status}`);
+      return;
+    }
+
+    if (await isStaleSubscriptionEvent(subscription.id, event)) {
+      return;
+    }
+
+    const subscriptionData = buildSubscriptionData(subscription, event);
+
+    await createOrUpdateBusinessSubscription(userId, subscriptionData);
+
+    // Activate business profile
+    await activateBusinessProfile(userId, {
+      customerId: subscription.customer,
+      subscriptionId: subscription.id,
+      status: subscription.status,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end
+    });
+
+    logger.info(`Successfully activated business profile from checkout for user: ${userId}`);
+  }
+}
+
+// Stripe idempotency keys expire after 24 hours, so a payment intent event
+// replayed later looks up the credit and subscription it already produced
+async function findPaymentIntentCredit(customerId, paymentIntentId) {
+  const transactions = await stripe.customers
+    .listBalanceTransactions(customerId, { limit: 100 })
+    .autoPagingToArray({ limit: 10000 });
+
+  return transactions.find(transaction => transaction.metadata?.paymentIntentId === paymentIntentId) || null;
+}
+
+async function findPaymentIntentSubscription(customerId, paymentIntentId) {
+  const subscriptions = await stripe.subscriptions
+    .list({ customer: customerId, status: 'all', limit: 100 })
+    .autoPagingToArray({ limit: 10000 });
+
+  return subscriptions.find(subscription => subscription.metadata?.paymentIntentId === paymentIntentId) || null;
+}
+
+// Platform pay (Apple Pay / Google Pay) charges the first period through a
+// PaymentIntent; once it succeeds the recurring subscription is created with
+// the saved payment method and the first period is credited to the customer
+async function handlePaymentIntentSucceeded(paymentIntent, event) {
+  const { userId, planId, planName, billingCycle, priceId, promotionCode, promotionCodeId, source } = paymentIntent.metadata;
+
+  if (source !== 'mobile_app_platform_pay' || !userId || !priceId) {
+    return;
+  }
+
+  const customerId = paymentIntent.customer;
+
+  await stripe.customers.update(customerId, {
+    invoice_settings: {
+      default_payment_method: paymentIntent.payment_method
+    }
+  });
+
+  if (await findPaymentIntentCredit(customerId, paymentIntent.id)) {
+    logger.info(`First period credit for payment intent ${paymentIntent.id} already applied`);
+  } else {
+    await stripe.customers.createBalanceTransaction(customerId, {
+      amount: -paymentIntent.amount_received,
+      currency: paymentIntent.currency,
+      description: `First ${billingCycle} period paid by ${paymentIntent.id}`,
+      metadata: {
+        paymentIntentId: paymentIntent.id
+      }
+    }, {
+      idempotencyKey: `${paymentIntent.id}-first-period-credit`
+    });
+  }
+
+  let subscription = await findPaymentIntentSubscription(customerId, paymentIntent.id);
+  if (subscription) {
+    logger.info(`Subscription ${subscription.id} already created from payment intent ${paymentIntent.id}`);
+  } else {
+    const subscriptionParams = {
+      customer: customerId,
+      items: [{
+        price: priceId
+      }],
+      default_payment_method: paymentIntent.payment_method,
+      off_session: true,
+      metadata: withRequestId({
+        userId: userId,
+        planId: planId,
+        planName: planName,
+        billingCycle: billingCycle,
+        paymentIntentId: paymentIntent.id,
+        source: source
+      })
+    };
+
+    if (promotionCodeId) {
+      subscriptionParams.promotion_code = promotionCodeId;
+      subscriptionParams.metadata.promotionCode = promotionCode;
+    }
+
+    subscription = await stripe.subscriptions.create(subscriptionParams, {
+      idempotencyKey: `${paymentIntent.id}-subscription`
+    });
+
+    logger.info(`Subscription ${subscription.id} created from payment intent ${paymentIntent.id}`);
+  }
+
+  if (supabase) {
+    await createOrUpdateBusinessSubscription(userId, buildSubscriptionData(subscription, event));
+
+    // Activate business profile
+    await activateBusinessProfile(userId, {
+      customerId: customerId,
+      subscriptionId: subscription.id,
+      status: subscription.status,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end
+    });
+
+    await updateSupabaseProfile(userId, {
+      ...getProfileSubscriptionFields(subscription),
+      subscription_id: subscription.id,
+      stripe_customer_id: customerId,
+      plan_id: planId,
+      plan_name: planName,
+      billing_cycle: billingCycle
+    });
+
+    logger.info(`Successfully activated business profile from platform payment for user: ${userId}`);
+  }
+}
+
+async function handlePaymentSucceeded(invoice, event) {
+  if (supabase && invoice.subscription) {
+    const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+    if (subscription.metadata.userId) {
+      if (await isStaleSubscriptionEvent(subscription.id, event)) {
+        return;
+      }
+
+      // Update business subscription to active (the $0 trial invoice keeps it trialing)
+      const status = subscription.status === 'trialing' ? 'trialing' : 'active';
+      const subscriptionData = buildSubscriptionData(subscription, event, {
+        status: status
+      });
 
       await createOrUpdateBusinessSubscription(subscription.metadata.userId, subscriptionData);
 
-      // Also update the business profile
-      await updateSupabaseProfile(subscription.metadata.userId, {
-        subscription_status: subscription.status
+      // Activate business profile
+      await activateBusinessProfile(subscription.metadata.userId, {
+        customerId: subscription.customer,
+        subscriptionId: subscription.id,
+        status: status,
+        cancelAtPeriodEnd: subscription.cancel_at_period_end
       });
 
-      logger.info(`Successfully processed subscription update for user: ${subscription.metadata.userId}`);
-    } catch (error) {
-      logger.error('Error updating profile on subscription updated:', error);
+      logger.info(`Successfully activated business profile and subscription for user: ${subscription.metadata.userId}`);
     }
   }
 }
 
-async function handleSubscriptionDeleted(subscription) {
-  if (supabase && subscription.metadata.userId) {
-    try {
-      // Update business subscription status to canceled
-      const subscriptionData = {
-        subscriptionId: subscription.id,
-        customerId: subscription.customer,
-        status: 'canceled',
-        planName: subscription.metadata.planName || 'Unknown Plan',
-        billingCycle: subscription.metadata.billingCycle || 'monthly'
-      };
+async function handlePaymentFailed(invoice, event) {
+  if (supabase && invoice.subscription) {
+    const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+    if (subscription.metadata.userId) {
+      if (await isStaleSubscriptionEvent(subscription.id, event)) {
+        return;
+      }
+
+      // Update business subscription to past_due
+      const subscriptionData = buildSubscriptionData(subscription, event, {
+        status: 'past_due'
+      });
 
       await createOrUpdateBusinessSubscription(subscription.metadata.userId, subscriptionData);
 
-      // Update business profile to inactive
+      // The business stays active while Stripe retries the payment; it is
+      // only deactivated once the subscription is deleted
       await updateSupabaseProfile(subscription.metadata.userId, {
-        subscription_status: 'canceled',
-        subscription_id: null,
-        business_status: 'Not Active',
-        is_active: false
+        subscription_status: 'past_due'
       });
 
-      logger.info(`Successfully processed subscription deletion for user: ${subscription.metadata.userId}`);
-    } catch (error) {
-      logger.error('Error updating profile on subscription deleted:', error);
+      logger.info(`Successfully processed payment failure for user: ${subscription.metadata.userId}`);
     }
   }
 }
 
-async function handlePaymentSucceeded(invoice) {
-  if (supabase && invoice.subscription) {
-    try {
-      const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-      if (subscription.metadata.userId) {
-        // Update business subscription to active
-        const subscriptionData = {
-          subscriptionId: subscription.id,
-          customerId: subscription.customer,
-          status: 'active',
-          planName: subscription.metadata.planName || 'Unknown Plan',
-          billingCycle: subscription.metadata.billingCycle || 'monthly',
-          currentPeriodStart: new Date(subscription.current_period_start * 1000).toISOString(),
-          currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
-          nextBillingDate: new Date(subscription.current_period_end * 1000).toISOString()
-        };
-
-        await createOrUpdateBusinessSubscription(subscription.metadata.userId, subscriptionData);
+// Background worker that drains the webhook queue
+let webhookWorkerTimer = null;
+let webhookWorkerBusy = false;
 
-        // Activate business profile
-        await activateBusinessProfile(subscription.metadata.userId, {
-          customerId: subscription.customer,
-          subscriptionId: subscription.id
-        });
+async function drainWebhookQueue() {
+  if (webhookWorkerBusy) {
+    return;
+  }
 
-        logger.info(`Successfully activated business profile and subscription for user: ${subscription.metadata.userId}`);
+  webhookWorkerBusy = true;
+  try {
+    let records;
+    do {
+      records = await WebhookQueue.claimDueEvents();
+      for (const record of records) {
+        await runQueuedWebhookEvent(record);
       }
+    } while (records.length > 0);
+  } catch (error) {
+    logger.error('Webhook worker error:', error);
+  } finally {
+    webhookWorkerBusy = false;
+  }
+}
+
+// Request ID of the API request that led to an event, read back from the
+// metadata it was stamped into; invoices carry their subscription's metadata
+function getEventRequestId(event) {
+  const object = event.data?.object || {};
+  return object.metadata?.requestId ||
+    object.subscription_details?.metadata?.requestId ||
+    null;
+}
+
+function runQueuedWebhookEvent(record) {
+  const context = {
+    requestId: getEventRequestId(record.payload),
+    eventId: record.event_id
+  };
+
+  return requestContext.run(context, async () => {
+    try {
+      await handleWebhookEvent(record.payload);
+      await WebhookQueue.markProcessed(record);
     } catch (error) {
-      logger.error('Error updating profile on payment succeeded:', error);
+      logger.error(`Webhook event ${record.event_id} (${record.type}) failed on attempt ${record.attempts + 1}:`, error);
+      await WebhookQueue.markFailed(record, error);
     }
+  });
+}
+
+function startWebhookWorker() {
+  if (webhookWorkerTimer) {
+    return;
   }
+
+  webhookWorkerTimer = setInterval(drainWebhookQueue, WEBHOOK_POLL_INTERVAL_MS);
+  logger.info(`Webhook worker started (polling every ${WEBHOOK_POLL_INTERVAL_MS}ms, max ${WEBHOOK_MAX_ATTEMPTS} attempts)`);
+  drainWebhookQueue();
 }
 
-async function handlePaymentFailed(invoice) {
-  if (supabase && invoice.subscription) {
-    try {
-      const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-      if (subscription.metadata.userId) {
-        // Update business subscription to past_due
-        const subscriptionData = {
-          subscriptionId: subscription.id,
-          customerId: subscription.customer,
-          status: 'past_due',
-          planName: subscription.metadata.planName || 'Unknown Plan',
-          billingCycle: subscription.metadata.billingCycle || 'monthly'
-        };
+// An event is stale when business_subscriptions already holds state written
+// by a newer event for the same subscription
+async function isStaleSubscriptionEvent(subscriptionId, event) {
+  if (!supabase || !event) {
+    return false;
+  }
 
-        await createOrUpdateBusinessSubscription(subscription.metadata.userId, subscriptionData);
+  const { data: existingSubscription, error } = await supabase
+    .from('business_subscriptions')
+    .select('last_event_at')
+    .eq('stripe_subscription_id', subscriptionId)
+    .single();
 
-        // Update business profile status
-        await updateSupabaseProfile(subscription.metadata.userId, {
-          subscription_status: 'past_due',
-          business_status: 'Not Active',
-          is_active: false
-        });
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to check subscription event order: ${error.message}`);
+  }
 
-        logger.info(`Successfully processed payment failure for user: ${subscription.metadata.userId}`);
-      }
-    } catch (error) {
-      logger.error('Error updating profile on payment failed:', error);
-    }
+  if (!existingSubscription?.last_event_at) {
+    return false;
   }
+
+  const isStale = new Date(existingSubscription.last_event_at).getTime() > event.created * 1000;
+  if (isStale) {
+    logger.info(`Skipping out-of-order event ${event.id} (${event.type}) for subscription ${subscriptionId}`);
+  }
+
+  return isStale;
 }
 
 // Supabase helper function
@@ -1248,15 +4369,23 @@ async function createOrUpdateBusinessSubscription(userId, subscriptionData) {
       throw new Error(`Failed to get business profile: ${profileError.message}`);
     }
 
-    // Get the plan_id from the plans table based on the product metadata
-    const { data: plan, error: planError } = await supabase
-      .from('plans')
-      .select('plan_id')
-      .eq('name', subscriptionData.planName)
-      .single();
+    // Get the plan_id from the plans table based on the subscribed Stripe product
+    let plan = null;
+    if (subscriptionData.productId) {
+      const { data, error: planError } = await supabase
+        .from('plans')
+        .select('plan_id')
+        .eq('stripe_product_id', subscriptionData.productId)
+        .single();
+
+      if (planError && planError.code !== 'PGRST116') {
+        throw new Error(`Failed to get plan: ${planError.message}`);
+      }
+      plan = data;
+    }
 
-    if (planError) {
-      logger.warn(`Plan not found in database: ${subscriptionData.planName}. Creating subscription without plan reference.`);
+    if (!plan) {
+      logger.warn(`Plan not found in database for product ${subscriptionData.productId || 'unknown'} (${subscriptionData.planName}). Creating subscription without plan reference.`);
     }
 
     // Create or update the business subscription
@@ -1272,9 +4401,24 @@ async function createOrUpdateBusinessSubscription(userId, subscriptionData) {
       next_billing_date: subscriptionData.nextBillingDate || null,
       current_period_start: subscriptionData.currentPeriodStart || new Date().toISOString(),
       current_period_end: subscriptionData.currentPeriodEnd || null,
+      trial_end: subscriptionData.trialEnd || null,
+      quantity: subscriptionData.quantity || null,
+      promotion_code: subscriptionData.discount?.promotionCode || null,
+      coupon_id: subscriptionData.discount?.couponId || null,
+      discount_percent_off: subscriptionData.discount?.percentOff || null,
+      discount_amount_off: subscriptionData.discount?.amountOff || null,
       updated_at: new Date().toISOString()
     };
 
+    if (subscriptionData.eventCreated) {
+      subscriptionRecord.last_event_at = new Date(subscriptionData.eventCreated * 1000).toISOString();
+    }
+
+    // Changes no request led to keep the request ID already recorded
+    if (subscriptionData.requestId) {
+      subscriptionRecord.request_id = subscriptionData.requestId;
+    }
+
     // Check if subscription already exists
     const { data: existingSubscription, error: existingError } = await supabase
       .from('business_subscriptions')
@@ -1319,6 +4463,115 @@ async function createOrUpdateBusinessSubscription(userId, subscriptionData) {
   }
 }
 
+// Stripe sends related objects either as an ID or expanded
+function getStripeId(object) {
+  return typeof object === 'string' ? object : object?.id || null;
+}
+
+// Map a Stripe product and its prices onto a row in the plans table
+function buildPlanRecord(product, prices) {
+  const { plan } = validateProductMetadata(product);
+
+  return {
+    stripe_product_id: product.id,
+    name: product.name,
+    description: product.description || null,
+    catalog_plan_id: plan.planId,
+    active: product.active,
+    display_order: plan.displayOrder,
+    prices: prices.map(price => ({
+      priceId: price.id,
+      billingCycle: ProductCatalogService.getBillingCycleKey(price),
+      currency: price.currency,
+      amount: price.unit_amount,
+      interval: price.recurring ? price.recurring.interval : null,
+      intervalCount: price.recurring ? price.recurring.interval_count : null
+    })),
+    synced_at: new Date().toISOString()
+  };
+}
+
+async function upsertPlans(planRecords) {
+  const { error } = await supabase
+    .from('plans')
+    .upsert(planRecords, { onConflict: 'stripe_product_id' });
+
+  if (error) {
+    throw new Error(`Failed to upsert plans: ${error.message}`);
+  }
+}
+
+// Sync all active Stripe products into plans and deactivate plans whose
+// product is no longer active
+async function syncPlans() {
+  const { products, prices } = await loadStripeCatalog(stripe);
+
+  const planRecords = products.map(product => buildPlanRecord(
+    product,
+    prices.filter(price => getStripeId(price.product) === product.id)
+  ));
+
+  if (planRecords.length > 0) {
+    await upsertPlans(planRecords);
+  }
+
+  let deactivateQuery = supabase
+    .from('plans')
+    .update({ active: false, synced_at: new Date().toISOString() })
+    .eq('active', true)
+    .not('stripe_product_id', 'is', null);
+
+  if (planRecords.length > 0) {
+    deactivateQuery = deactivateQuery.not('stripe_product_id', 'in', `(${planRecords.map(plan => plan.stripe_product_id).join(',')})`);
+  }
+
+  const { data: deactivated, error } = await deactivateQuery.select('stripe_product_id');
+  if (error) {
+    throw new Error(`Failed to deactivate removed plans: ${error.message}`);
+  }
+
+  logger.info(`Synced ${planRecords.length} plans, deactivated ${deactivated.length}`);
+  return { syncedCount: planRecords.length, deactivatedCount: deactivated.length };
+}
+
+// Sync a single Stripe product and its active prices into plans
+async function syncPlanForProduct(productId) {
+  if (!supabase) {
+    logger.warn('Supabase not configured, skipping plan sync');
+    return;
+  }
+
+  const product = await stripe.products.retrieve(productId);
+  if (product.deleted) {
+    return await deactivatePlan(productId);
+  }
+
+  const prices = await stripe.prices
+    .list({ product: productId, active: true, limit: 100 })
+    .autoPagingToArray({ limit: 10000 });
+
+  await upsertPlans([buildPlanRecord(product, prices)]);
+  logger.info(`Synced plan for product ${productId}`);
+}
+
+async function deactivatePlan(productId) {
+  if (!supabase) {
+    logger.warn('Supabase not configured, skipping plan sync');
+    return;
+  }
+
+  const { error } = await supabase
+    .from('plans')
+    .update({ active: false, synced_at: new Date().toISOString() })
+    .eq('stripe_product_id', productId);
+
+  if (error) {
+    throw new Error(`Failed to deactivate plan: ${error.message}`);
+  }
+
+  logger.info(`Deactivated plan for deleted product ${productId}`);
+}
+
 // Activate business profile when payment succeeds
 async function activateBusinessProfile(userId, subscriptionData) {
   if (!supabase) {
@@ -1327,15 +4580,25 @@ async function activateBusinessProfile(userId, subscriptionData) {
   }
 
   try {
+    const profileUpdates = {
+      business_status: 'Active',
+      is_active: true,
+      stripe_customer_id: subscriptionData.customerId,
+      updated_at: new Date().toISOString()
+    };
+
+    // Record the subscription status the business was activated with (e.g.
+    // trialing), keeping a cancellation scheduled for the period end
+    if (subscriptionData.status) {
+      const pendingCancellation = subscriptionData.cancelAtPeriodEnd &&
+                                  ['active', 'trialing'].includes(subscriptionData.status);
+      profileUpdates.subscription_status = pendingCancellation ? 'pending_cancellation' : subscriptionData.status;
+    }
+
     // Update business profile to active status
     const { data, error } = await supabase
       .from('business_profiles')
-      .update({
-        business_status: 'Active',
-        is_active: true,
-        stripe_customer_id: subscriptionData.customerId,
-        updated_at: new Date().toISOString()
-      })
+      .update(profileUpdates)
       .eq('user_id', userId)
       .select();
 
@@ -1359,7 +4622,7 @@ async function activateBusinessProfile(userId, subscriptionData) {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  logger.error('Unhandled error:', error);
+  (req.log || logger).error('Unhandled error:', error);
   res.status(500).json({
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
@@ -1377,9 +4640,17 @@ app.use((req, res) => {
 
 // Initialize product catalog on startup
 async function initializeProductCatalog() {
+  // Reload the shared snapshot whenever another instance refreshes the
+  // catalog, and drop entitlements another instance saw change
+  catalogCacheBackend.subscribe(() => {
+    ProductCatalogService.loadSharedCatalog().catch(error => {
+      logger.warn(`Failed to load shared catalog after invalidation: ${error.message}`);
+    });
+  }, invalidation => EntitlementService.applyInvalidation(invalidation));
+
   try {
-    logger.info('Initializing product catalog on startup...');
-    await ProductCatalogService.getProductCatalog(true);
+    logger.info(`Initializing product catalog on startup (${catalogCacheBackend.name} cache)...`);
+    await ProductCatalogService.getProductCatalog();
     logger.info('Product catalog initialized successfully');
   } catch (error) {
     logger.error('Failed to initialize product catalog:', error);
@@ -1387,15 +4658,20 @@ async function initializeProductCatalog() {
   }
 }
 
-// Start server
-app.listen(PORT, async () => {
-  logger.info(`LinkBy6 Stripe Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`Supabase integration: ${supabase ? 'enabled' : 'disabled'}`);
-  
-  // Initialize product catalog
-  await initializeProductCatalog();
-});
+// Start server (tests require this module without starting it)
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    logger.info(`LinkBy6 Stripe Server running on port ${PORT}`);
+    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`Supabase integration: ${supabase ? 'enabled' : 'disabled'}`);
+
+    // Initialize product catalog
+    await initializeProductCatalog();
+
+    // Start processing queued webhook events
+    startWebhookWorker();
+  });
+}
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -1407,3 +4683,11 @@ process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
+
+module.exports = {
+  app,
+  requireAuth,
+  rejectMismatchedUserId,
+  ProductCatalogService,
+  idempotent
+};
@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+// Load the server from a scratch directory so a local .env is not picked up
+// and its log files are not written into the repository
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'linkby6-auth-')));
+process.env.SUPABASE_JWT_SECRET = JWT_SECRET;
+process.env.LOG_LEVEL = 'error';
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_KEY;
+
+const { requireAuth, rejectMismatchedUserId } = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.get('/payment-status/:userId', requireAuth, rejectMismatchedUserId, (req, res) => {
+    res.json({ user: req.user });
+  });
+  app.post('/cancel-subscription', requireAuth, rejectMismatchedUserId, (req, res) => {
+    res.json({ userId: req.user.id });
+  });
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function signToken(claims = {}, options = {}) {
+  return jwt.sign({
+    sub: 'user-a',
+    email: 'a@example.com',
+    role: 'authenticated',
+    ...claims
+  }, options.secret || JWT_SECRET, { expiresIn: options.expiresIn || '1h' });
+}
+
+function request(urlPath, { token, body } = {}) {
+  const headers = {};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  return fetch(`${baseUrl}${urlPath}`, {
+    method: body ? 'POST' : 'GET',
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+test('rejects a request without a bearer token', async () => {
+  const response = await request('/payment-status/user-a');
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual((await response.json()).code, 'missing_token');
+});
+
+test('rejects a token signed with another secret', async () => {
+  const response = await request('/payment-status/user-a', {
+    token: signToken({}, { secret: 'not-the-secret' })
+  });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual((await response.json()).code, 'invalid_token');
+});
+
+test('rejects a malformed token', async () => {
+  const response = await request('/payment-status/user-a', { token: 'not-a-jwt' });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual((await response.json()).code, 'invalid_token');
+});
+
+test('rejects an expired token', async () => {
+  const response = await request('/payment-status/user-a', {
+    token: signToken({}, { expiresIn: '-1m' })
+  });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual((await response.json()).code, 'invalid_token');
+});
+
+test('rejects a token without a subject', async () => {
+  const response = await request('/payment-status/user-a', {
+    token: signToken({ sub: undefined })
+  });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual((await response.json()).code, 'invalid_token');
+});
+
+test('rejects a URL userId that is not the authenticated user', async () => {
+  const response = await request('/payment-status/user-b', { token: signToken() });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).code, 'user_mismatch');
+});
+
+test('rejects a body userId that is not the authenticated user', async () => {
+  const response = await request('/cancel-subscription', {
+    token: signToken(),
+    body: { userId: 'user-b', subscriptionId: 'sub_123' }
+  });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).code, 'user_mismatch');
+});
+
+test('resolves the user from a valid token', async () => {
+  const response = await request('/payment-status/user-a', { token: signToken() });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual((await response.json()).user, {
+    id: 'user-a',
+    email: 'a@example.com',
+    role: 'authenticated',
+    appMetadata: {}
+  });
+});
+
+test('accepts a body without a userId', async () => {
+  const response = await request('/cancel-subscription', {
+    token: signToken(),
+    body: { subscriptionId: 'sub_123' }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).userId, 'user-a');
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const Stripe = require('stripe');
+const { loadStripeCatalog } = require('../catalog-loader');
+
+const PRODUCT_COUNT = 12;
+const PRICE_COUNT = 250;
+
+const objects = {
+  products: Array.from({ length: PRODUCT_COUNT }, (_, index) => ({
+    id: `prod_${index}`,
+    object: 'product',
+    active: true
+  })),
+  prices: Array.from({ length: PRICE_COUNT }, (_, index) => ({
+    id: `price_${index}`,
+    object: 'price',
+    active: true,
+    product: `prod_${index % PRODUCT_COUNT}`
+  }))
+};
+
+// Local stand-in for Stripe's list endpoints, paginated like the real API
+const listRequests = [];
+let server;
+let stripe;
+
+function listObjects(resource, searchParams) {
+  const limit = parseInt(searchParams.get('limit') || '10', 10);
+  const startingAfter = searchParams.get('starting_after');
+  const items = objects[resource];
+  const start = startingAfter ? items.findIndex(item => item.id === startingAfter) + 1 : 0;
+  const page = items.slice(start, start + limit);
+
+  return {
+    object: 'list',
+    url: `/v1/${resource}`,
+    data: page,
+    has_more: start + limit < items.length
+  };
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const resource = url.pathname.replace('/v1/', '');
+    listRequests.push({ resource, searchParams: url.searchParams });
+
+    if (req.method !== 'GET' || !objects[resource]) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { type: 'invalid_request_error', message: 'Not found' } }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(listObjects(resource, url.searchParams)));
+  });
+
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  stripe = new Stripe('sk_test_local', {
+    host: '127.0.0.1',
+    port: server.address().port,
+    protocol: 'http',
+    maxNetworkRetries: 0
+  });
+});
+
+after(() => {
+  server.close();
+});
+
+test('loads every product and price across pages', async () => {
+  const { products, prices } = await loadStripeCatalog(stripe);
+
+  assert.deepStrictEqual(products.map(product => product.id), objects.products.map(product => product.id));
+  assert.deepStrictEqual(prices.map(price => price.id), objects.prices.map(price => price.id));
+});
+
+test('requests active objects in pages of at most 100', async () => {
+  listRequests.length = 0;
+  await loadStripeCatalog(stripe);
+
+  const priceRequests = listRequests.filter(request => request.resource === 'prices');
+  assert.strictEqual(priceRequests.length, Math.ceil(PRICE_COUNT / 100));
+
+  listRequests.forEach(({ searchParams }) => {
+    assert.strictEqual(searchParams.get('active'), 'true');
+    assert.ok(parseInt(searchParams.get('limit'), 10) <= 100);
+  });
+});
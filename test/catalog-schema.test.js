@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateProductMetadata } = require('../catalog-schema');
+
+function product(metadata, name = 'Essential Plan') {
+  return { id: 'prod_1', name: name, metadata: metadata };
+}
+
+function fields(issues) {
+  return issues.map(issue => issue.field);
+}
+
+test('normalizes valid metadata', () => {
+  const { plan, errors, warnings } = validateProductMetadata(product({
+    plan_id: 'essential',
+    plan_type: 'subscription',
+    display_order: '2',
+    trial_days: '14',
+    features: '["listings","analytics"]',
+    limits: '{"listings":10,"locations":null}',
+    badges: '["popular"]'
+  }));
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, []);
+  assert.deepStrictEqual(plan, {
+    planId: 'essential',
+    planType: 'subscription',
+    displayOrder: 2,
+    trialDays: 14,
+    features: ['listings', 'analytics'],
+    limits: { listings: 10, locations: null },
+    badges: ['popular']
+  });
+});
+
+test('falls back to defaults with warnings for missing plan_id and display_order', () => {
+  const { plan, errors, warnings } = validateProductMetadata(product({}, 'Pro Plan'));
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(fields(warnings), ['plan_id', 'display_order']);
+  assert.strictEqual(plan.planId, 'pro-plan');
+  assert.strictEqual(plan.planType, 'subscription');
+  assert.strictEqual(plan.displayOrder, 999);
+});
+
+['features', 'limits', 'badges'].forEach(field => {
+  test(`rejects invalid JSON in ${field}`, () => {
+    const { errors } = validateProductMetadata(product({ plan_id: 'essential', display_order: '1', [field]: '[not json' }));
+
+    assert.deepStrictEqual(fields(errors), [field]);
+    assert.match(errors[0].message, /is not valid JSON/);
+  });
+});
+
+test('rejects features and badges that are not arrays of strings', () => {
+  const { errors } = validateProductMetadata(product({
+    plan_id: 'essential',
+    display_order: '1',
+    features: '{"listings":true}',
+    badges: '["popular",""]'
+  }));
+
+  assert.deepStrictEqual(fields(errors), ['features', 'badges']);
+});
+
+test('rejects limits that are not whole numbers or null', () => {
+  const { errors } = validateProductMetadata(product({
+    plan_id: 'essential',
+    display_order: '1',
+    limits: '{"listings":-1}'
+  }));
+
+  assert.deepStrictEqual(fields(errors), ['limits']);
+});
+
+test('rejects a non-numeric display_order', () => {
+  const { errors } = validateProductMetadata(product({ plan_id: 'essential', display_order: 'first' }));
+
+  assert.deepStrictEqual(fields(errors), ['display_order']);
+});
+
+test('rejects a non-numeric trial_days', () => {
+  const { errors } = validateProductMetadata(product({ plan_id: 'essential', display_order: '1', trial_days: '7.5' }));
+
+  assert.deepStrictEqual(fields(errors), ['trial_days']);
+});
+
+test('rejects an unknown plan_type', () => {
+  const { errors } = validateProductMetadata(product({ plan_id: 'essential', display_order: '1', plan_type: 'lifetime' }));
+
+  assert.deepStrictEqual(fields(errors), ['plan_type']);
+});
+
+['Essential', 'essential plan', '-essential', 'essential!'].forEach(planId => {
+  test(`rejects plan_id "${planId}"`, () => {
+    const { errors } = validateProductMetadata(product({ plan_id: planId, display_order: '1' }));
+
+    assert.deepStrictEqual(fields(errors), ['plan_id']);
+  });
+});
+
+test('organizeProductCatalog skips a product reusing another product\'s plan_id', () => {
+  // Load the server from a scratch directory so a local .env is not picked up
+  // and its log files are not written into the repository
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'linkby6-catalog-')));
+  process.env.LOG_LEVEL = 'error';
+  delete process.env.SUPABASE_URL;
+  delete process.env.SUPABASE_SERVICE_KEY;
+
+  const { ProductCatalogService } = require('../server');
+
+  const products = [
+    { id: 'prod_1', name: 'Essential', metadata: { plan_id: 'essential', display_order: '1' } },
+    { id: 'prod_2', name: 'Essential Copy', metadata: { plan_id: 'essential', display_order: '2' } }
+  ];
+  const prices = products.map(({ id }) => ({
+    id: `price_${id}`,
+    product: id,
+    currency: 'usd',
+    unit_amount: 1000,
+    recurring: { interval: 'month', interval_count: 1, usage_type: 'licensed' }
+  }));
+
+  const catalog = ProductCatalogService.organizeProductCatalog(products, prices);
+
+  assert.deepStrictEqual(catalog.products.map(item => item.id), ['prod_1']);
+  assert.deepStrictEqual(catalog.skippedProducts, [{ productId: 'prod_2', name: 'Essential Copy', planId: 'essential' }]);
+  assert.ok(catalog.issues.some(issue =>
+    issue.severity === 'error' && issue.productId === 'prod_2' && issue.field === 'plan_id'));
+});
@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Load the server from a scratch directory so a local .env is not picked up
+// and its log files are not written into the repository. Without Supabase the
+// in-memory idempotency store is used.
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'linkby6-idempotency-')));
+process.env.LOG_LEVEL = 'error';
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_KEY;
+
+const { idempotent } = require('../server');
+
+let server;
+let baseUrl;
+let handlerCalls = 0;
+let releaseSlowRequest = null;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: req.get('X-Test-User') || 'user-a' };
+    next();
+  });
+
+  // Responds with the status and code asked for in the body
+  app.post('/orders', idempotent('orders'), (req, res) => {
+    handlerCalls++;
+    res.status(req.body.status || 200).json({
+      call: handlerCalls,
+      code: req.body.code,
+      stripeIdempotencyKey: req.stripeIdempotencyKey
+    });
+  });
+
+  app.post('/slow-orders', idempotent('slow-orders'), async (req, res) => {
+    await new Promise(resolve => {
+      releaseSlowRequest = resolve;
+    });
+    res.json({ done: true });
+  });
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function post(urlPath, body, { key, user } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key) {
+    headers['Idempotency-Key'] = key;
+  }
+  if (user) {
+    headers['X-Test-User'] = user;
+  }
+
+  return fetch(`${baseUrl}${urlPath}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+}
+
+test('replays the stored response for a repeated key', async () => {
+  const first = await post('/orders', { item: 'a' }, { key: 'replay' });
+  const firstBody = await first.json();
+  const second = await post('/orders', { item: 'a' }, { key: 'replay' });
+
+  assert.strictEqual(first.headers.get('Idempotent-Replayed'), null);
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.headers.get('Idempotent-Replayed'), 'true');
+  assert.deepStrictEqual(await second.json(), firstBody);
+});
+
+test('keeps keys of different users apart', async () => {
+  const first = await (await post('/orders', { item: 'a' }, { key: 'shared', user: 'user-a' })).json();
+  const second = await post('/orders', { item: 'a' }, { key: 'shared', user: 'user-b' });
+  const secondBody = await second.json();
+
+  assert.strictEqual(second.headers.get('Idempotent-Replayed'), null);
+  assert.notStrictEqual(secondBody.call, first.call);
+  assert.notStrictEqual(secondBody.stripeIdempotencyKey, first.stripeIdempotencyKey);
+});
+
+test('rejects a repeated key with a different body', async () => {
+  await post('/orders', { item: 'a' }, { key: 'reused' });
+  const response = await post('/orders', { item: 'b' }, { key: 'reused' });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual((await response.json()).code, 'idempotency_key_reused');
+});
+
+test('rejects a repeated key while the first request is running', async () => {
+  const first = post('/slow-orders', { item: 'a' }, { key: 'in-progress' });
+  while (!releaseSlowRequest) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  const second = await post('/slow-orders', { item: 'a' }, { key: 'in-progress' });
+  assert.strictEqual(second.status, 409);
+  assert.strictEqual((await second.json()).code, 'idempotency_key_in_progress');
+
+  releaseSlowRequest();
+  assert.strictEqual((await first).status, 200);
+});
+
+test('replays client errors', async () => {
+  const first = await (await post('/orders', { status: 400, code: 'invalid_plan' }, { key: 'client-error' })).json();
+  const second = await post('/orders', { status: 400, code: 'invalid_plan' }, { key: 'client-error' });
+
+  assert.strictEqual(second.status, 400);
+  assert.strictEqual(second.headers.get('Idempotent-Replayed'), 'true');
+  assert.strictEqual((await second.json()).call, first.call);
+});
+
+test('does not store server errors', async () => {
+  const first = await (await post('/orders', { status: 503 }, { key: 'server-error' })).json();
+  const second = await post('/orders', { status: 503 }, { key: 'server-error' });
+
+  assert.strictEqual(second.headers.get('Idempotent-Replayed'), null);
+  assert.notStrictEqual((await second.json()).call, first.call);
+});
+
+test('does not store a request_in_progress conflict', async () => {
+  const body = { status: 409, code: 'request_in_progress' };
+  const first = await (await post('/orders', body, { key: 'retry-later' })).json();
+  const second = await post('/orders', body, { key: 'retry-later' });
+
+  assert.strictEqual(second.headers.get('Idempotent-Replayed'), null);
+  assert.notStrictEqual((await second.json()).call, first.call);
+});
+
+test('passes requests without a key straight through', async () => {
+  const response = await post('/orders', { item: 'a' });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).stripeIdempotencyKey, undefined);
+});
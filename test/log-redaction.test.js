@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { redactLogInfo, sanitizeError } = require('../log-redaction');
+
+const format = redactLogInfo();
+
+function redact(info) {
+  return format.transform({ level: 'info', ...info });
+}
+
+test('redacts sensitive body fields at any depth', () => {
+  const body = {
+    planId: 'essential',
+    customer: {
+      Email: 'owner@example.com',
+      billing_details: { name: 'Owner' },
+      payments: [{ paymentMethodId: 'pm_123', amount: 1000 }]
+    }
+  };
+
+  const info = redact({ message: 'Request body', body });
+
+  assert.deepStrictEqual(info.body, {
+    planId: 'essential',
+    customer: {
+      Email: '[REDACTED]',
+      billing_details: '[REDACTED]',
+      payments: [{ paymentMethodId: '[REDACTED]', amount: 1000 }]
+    }
+  });
+  assert.strictEqual(body.customer.Email, 'owner@example.com');
+});
+
+test('redacts emails, payment methods and client secrets in messages', () => {
+  const info = redact({
+    message: 'Attached pm_1NvXyZ2eZvKYlo2C to owner@example.com, secret pi_3Abc_secret_Def9 and seti_1Xy_secret_Z2'
+  });
+
+  assert.strictEqual(
+    info.message,
+    'Attached [REDACTED_PAYMENT_METHOD] to [REDACTED_EMAIL], secret [REDACTED_SECRET] and [REDACTED_SECRET]'
+  );
+});
+
+test('drops request and payment objects from merged Stripe errors', () => {
+  const info = redact({
+    message: 'Card declined',
+    type: 'StripeCardError',
+    code: 'card_declined',
+    decline_code: 'insufficient_funds',
+    raw: { message: 'Your card was declined.' },
+    headers: { 'request-id': 'req_123' },
+    payment_method: { id: 'pm_123', billing_details: { email: 'owner@example.com' } },
+    payment_intent: { id: 'pi_123' }
+  });
+
+  assert.strictEqual(info.code, 'card_declined');
+  assert.strictEqual(info.decline_code, 'insufficient_funds');
+  ['raw', 'headers', 'payment_method', 'payment_intent'].forEach(key => {
+    assert.strictEqual(key in info, false, `${key} should be dropped`);
+  });
+});
+
+test('keeps only safe fields of nested Stripe errors', () => {
+  const error = new Error('No such payment_method: pm_123');
+  error.type = 'StripeInvalidRequestError';
+  error.code = 'resource_missing';
+  error.raw = { message: 'No such payment_method: pm_123' };
+  error.payment_method = { id: 'pm_123' };
+
+  const sanitized = sanitizeError(error);
+
+  assert.strictEqual(sanitized.message, 'No such payment_method: [REDACTED_PAYMENT_METHOD]');
+  assert.strictEqual(sanitized.code, 'resource_missing');
+  assert.strictEqual('raw' in sanitized, false);
+  assert.strictEqual('payment_method' in sanitized, false);
+});
+
+test('drops details from Supabase errors', () => {
+  const supabaseError = {
+    message: 'duplicate key value violates unique constraint',
+    details: 'Key (email)=(owner@example.com) already exists.',
+    hint: null,
+    code: '23505'
+  };
+
+  const merged = redact({ ...supabaseError });
+  assert.strictEqual('details' in merged, false);
+  assert.strictEqual(merged.code, '23505');
+
+  const nested = redact({ message: 'Failed to save business', error: supabaseError });
+  assert.strictEqual('details' in nested.error, false);
+  assert.strictEqual(nested.error.code, '23505');
+  assert.strictEqual(nested.error.message, 'duplicate key value violates unique constraint');
+});